@@ -1,12 +1,12 @@
 import dotenv from "dotenv";
-import { dirname, resolve } from "path";
+import { dirname, join, resolve } from "path";
 import fsExtra from "fs-extra";
 import { existsSync, mkdirSync } from "fs";
 const { ensureDirSync } = fsExtra;
 
 dotenv.config();
 
-const requiredEnv = ["TELEGRAM_BOT_TOKEN", "AUTHORIZED_USER_IDS"];
+const requiredEnv = ["TELEGRAM_BOT_TOKEN"];
 requiredEnv.forEach((name) => {
   if (!process.env[name]) {
     throw new Error(`Missing required environment variable: ${name}`);
@@ -29,6 +29,15 @@ const parsePositiveInt = (value, fallback) => {
   return parsed;
 };
 
+// Zero is meaningful here (it disables the limit), so only reject garbage.
+const parseNonNegativeInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    return fallback;
+  }
+  return parsed;
+};
+
 const parsePositiveNumber = (value, fallback) => {
   const parsed = Number(value);
   if (Number.isNaN(parsed) || parsed <= 0) {
@@ -37,6 +46,13 @@ const parsePositiveNumber = (value, fallback) => {
   return parsed;
 };
 
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  return ["1", "true", "yes", "on"].includes(value.trim().toLowerCase());
+};
+
 const parseList = (value = "") =>
   value
     .split(",")
@@ -45,9 +61,10 @@ const parseList = (value = "") =>
 
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const AUTHORIZED_USER_IDS = new Set(parseIds(process.env.AUTHORIZED_USER_IDS));
+const ADMIN_USER_IDS = new Set(parseIds(process.env.ADMIN_USER_IDS));
 
-if (AUTHORIZED_USER_IDS.size === 0) {
-  throw new Error("AUTHORIZED_USER_IDS must contain at least one Telegram user ID");
+if (AUTHORIZED_USER_IDS.size === 0 && ADMIN_USER_IDS.size === 0) {
+  throw new Error("AUTHORIZED_USER_IDS or ADMIN_USER_IDS must contain at least one Telegram user ID");
 }
 
 const YT_DLP_BINARY_PATH = process.env.YT_DLP_BINARY_PATH || "/opt/yt-dlp";
@@ -64,9 +81,42 @@ const MAX_CONCURRENT_DOWNLOADS = parsePositiveInt(
 const MAX_FILE_SIZE_MB = parsePositiveNumber(process.env.MAX_FILE_SIZE_MB, 48);
 const MAX_FILE_SIZE_BYTES = Math.round(MAX_FILE_SIZE_MB * 1024 * 1024);
 
+const MAX_PLAYLIST_ENTRIES = parsePositiveInt(process.env.MAX_PLAYLIST_ENTRIES, 50);
+
+const MAX_ACTIVE_JOBS_PER_USER = parseNonNegativeInt(process.env.MAX_ACTIVE_JOBS_PER_USER, 3);
+// Above MAX_PLAYLIST_ENTRIES so a full playlist fits in one hour.
+const MAX_JOBS_PER_HOUR = parseNonNegativeInt(process.env.MAX_JOBS_PER_HOUR, 60);
+const MAX_MB_PER_DAY = parseNonNegativeInt(process.env.MAX_MB_PER_DAY, 0);
+
+const YT_DLP_RETRIES = parseNonNegativeInt(process.env.YT_DLP_RETRIES, 2);
+const RETRY_BASE_DELAY_SECONDS = parsePositiveNumber(process.env.RETRY_BASE_DELAY_SECONDS, 5);
+
+const METADATA_CACHE_TTL_MINUTES = parsePositiveNumber(process.env.METADATA_CACHE_TTL_MINUTES, 30);
+const METADATA_CACHE_MAX_ENTRIES = parsePositiveInt(process.env.METADATA_CACHE_MAX_ENTRIES, 200);
+const METADATA_CACHE_PERSIST = parseBoolean(process.env.METADATA_CACHE_PERSIST, false);
+
+const JOB_TIMEOUT_MINUTES = parseNonNegativeInt(process.env.JOB_TIMEOUT_MINUTES, 0);
+const STALL_TIMEOUT_SECONDS = parseNonNegativeInt(process.env.STALL_TIMEOUT_SECONDS, 120);
+
+const STATUS_UPDATE_INTERVAL_MS = parsePositiveInt(
+  process.env.STATUS_UPDATE_INTERVAL_MS,
+  3000
+);
+
 const DOWNLOAD_TEMP_DIR = process.env.DOWNLOAD_TEMP_DIR || "/tmp/yttelbot";
 ensureDirSync(DOWNLOAD_TEMP_DIR);
 
+const DATA_DIR = process.env.DATA_DIR || "/usr/src/app/data";
+ensureDirSync(DATA_DIR);
+const JOB_STORE_PATH = join(DATA_DIR, "jobs.json");
+const SESSION_STORE_PATH = join(DATA_DIR, "sessions.json");
+const USER_STORE_PATH = join(DATA_DIR, "users.json");
+const QUOTA_STORE_PATH = join(DATA_DIR, "quotas.json");
+const FILE_CACHE_PATH = join(DATA_DIR, "file-cache.json");
+const METADATA_CACHE_PATH = join(DATA_DIR, "metadata-cache.json");
+const SESSION_TTL_MINUTES = parsePositiveNumber(process.env.SESSION_TTL_MINUTES, 30);
+const INVITE_TTL_HOURS = parsePositiveNumber(process.env.INVITE_TTL_HOURS, 24);
+
 const LOG_FILE_PATH = process.env.LOG_FILE_PATH || "/usr/src/app/logs/app.log";
 const logDir = dirname(resolve(LOG_FILE_PATH));
 if (!existsSync(logDir)) {
@@ -80,6 +130,7 @@ const TELEGRAM_API_HASH = process.env.TELEGRAM_API_HASH || "";
 export const config = {
   TELEGRAM_BOT_TOKEN,
   AUTHORIZED_USER_IDS,
+  ADMIN_USER_IDS,
   YT_DLP_BINARY_PATH,
   YT_DLP_COOKIES_PATH,
   YT_DLP_JS_RUNTIME,
@@ -88,7 +139,28 @@ export const config = {
   MAX_CONCURRENT_DOWNLOADS,
   MAX_FILE_SIZE_BYTES,
   MAX_FILE_SIZE_MB,
+  MAX_PLAYLIST_ENTRIES,
+  MAX_ACTIVE_JOBS_PER_USER,
+  MAX_JOBS_PER_HOUR,
+  MAX_MB_PER_DAY,
+  YT_DLP_RETRIES,
+  RETRY_BASE_DELAY_SECONDS,
+  METADATA_CACHE_TTL_MINUTES,
+  METADATA_CACHE_MAX_ENTRIES,
+  METADATA_CACHE_PERSIST,
+  JOB_TIMEOUT_MINUTES,
+  STALL_TIMEOUT_SECONDS,
+  STATUS_UPDATE_INTERVAL_MS,
   DOWNLOAD_TEMP_DIR,
+  DATA_DIR,
+  JOB_STORE_PATH,
+  SESSION_STORE_PATH,
+  SESSION_TTL_MINUTES,
+  USER_STORE_PATH,
+  QUOTA_STORE_PATH,
+  FILE_CACHE_PATH,
+  METADATA_CACHE_PATH,
+  INVITE_TTL_HOURS,
   LOG_FILE_PATH,
   TELEGRAM_API_ROOT,
   TELEGRAM_API_ID,
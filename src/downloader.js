@@ -1,24 +1,148 @@
 import { spawn } from "node:child_process";
 import { existsSync, createReadStream } from "node:fs";
-import { writeFile } from "node:fs/promises";
+import { readFile, writeFile } from "node:fs/promises";
+import { setTimeout as delay } from "node:timers/promises";
 import fsExtra from "fs-extra";
-import { join, resolve, parse as parsePath } from "node:path";
+import { join, resolve, dirname, parse as parsePath } from "node:path";
 import crypto from "node:crypto";
 import { config } from "./config.js";
 import { logger } from "./logger.js";
-
-const { ensureDir, readdir, remove, stat, move } = fsExtra;
-
-const COMMON_ARGS = ["--ignore-config", "--no-warnings", "--no-playlist"]; // keep invocations deterministic
+import { classifyError } from "./error-classifier.js";
+import { MetadataCache } from "./metadata-cache.js";
+
+const { ensureDir, emptyDir, readdir, remove, stat, move } = fsExtra;
+const metadataCache = new MetadataCache({
+  maxEntries: config.METADATA_CACHE_MAX_ENTRIES,
+  ttlMs: config.METADATA_CACHE_TTL_MINUTES * 60 * 1000,
+  filePath: config.METADATA_CACHE_PERSIST ? config.METADATA_CACHE_PATH : null,
+});
+// Canonical URL -> in-flight lookup, so a prefetch and the user's next click
+// share one yt-dlp run.
+const pendingLookups = new Map();
+
+const COMMON_ARGS = ["--ignore-config", "--no-warnings"]; // keep invocations deterministic
 const AUDIO_OUTPUT_PRESETS = [
-  { name: "Tiny Speech", bitrateKbps: 24, channels: 1 },
-  { name: "Podcast", bitrateKbps: 48 },
-  { name: "Low", bitrateKbps: 64 },
-  { name: "Standard", bitrateKbps: 128 },
-  { name: "High", bitrateKbps: 192 },
-  { name: "Best", bitrateKbps: 256 },
+  { codec: "mp3", name: "Tiny Speech", bitrateKbps: 24, channels: 1 },
+  { codec: "mp3", name: "Podcast", bitrateKbps: 48 },
+  { codec: "mp3", name: "Low", bitrateKbps: 64 },
+  { codec: "mp3", name: "Standard", bitrateKbps: 128 },
+  { codec: "mp3", name: "High", bitrateKbps: 192 },
+  { codec: "mp3", name: "Best", bitrateKbps: 256 },
+  { codec: "aac", name: "Standard", bitrateKbps: 128 },
+  { codec: "aac", name: "High", bitrateKbps: 256 },
+  { codec: "opus", name: "Standard", bitrateKbps: 96 },
+  { codec: "opus", name: "High", bitrateKbps: 160 },
+  { codec: "flac", name: "Lossless" },
+  { codec: "voice", bitrateKbps: 32, channels: 1 },
+];
+// Output codecs for audio conversions. `cover` is how album art is embedded:
+// as an attached picture stream, or as a Vorbis comment for Ogg, whose muxer
+// cannot carry a picture stream. "copy" keeps the source stream as it is.
+const AUDIO_CODECS = {
+  mp3: {
+    label: "MP3",
+    extension: ".mp3",
+    args: ["-codec:a", "libmp3lame", "-id3v2_version", "3"],
+    cover: "stream",
+  },
+  aac: {
+    label: "M4A",
+    extension: ".m4a",
+    args: ["-codec:a", "aac", "-movflags", "+faststart"],
+    cover: "stream",
+  },
+  opus: {
+    label: "Opus",
+    extension: ".opus",
+    args: ["-codec:a", "libopus"],
+    cover: "vorbis",
+  },
+  flac: {
+    label: "FLAC",
+    extension: ".flac",
+    args: ["-codec:a", "flac"],
+    cover: "stream",
+  },
+  // Telegram voice messages: Ogg/Opus, sent with sendVoice, no cover art.
+  voice: {
+    label: "🎤 Voice message",
+    extension: ".ogg",
+    args: ["-codec:a", "libopus", "-application", "voip"],
+    cover: null,
+  },
+};
+// Telegram rejects round video notes of a minute or more and shows them at
+// up to 640px.
+const VIDEO_NOTE_MAX_SECONDS = 59;
+const VIDEO_NOTE_MAX_SIZE = 640;
+// Rough FLAC bitrate for music, only used for size estimates.
+const FLAC_ESTIMATED_KBPS = 800;
+const PLAYLIST_VIDEO_HEIGHTS = [360, 480, 720, 1080];
+const PLAYLIST_URL_PATTERNS = [
+  /[?&]list=/i,
+  /\/playlist\b/i,
+  /\/@[^/?#]+\/?(?:videos|streams|shorts|playlists)?\/?(?:[?#].*)?$/i,
+  /\/sets\//i,
+  /\/album\//i,
+];
+// These paths are channels only on YouTube; elsewhere (e.g. /user/ profiles or
+// /c/ categories) they often point at a single item.
+const YOUTUBE_CHANNEL_PATTERNS = [/^\/channel\//i, /^\/c\/[^/]+/i, /^\/user\//i];
+const TRACKING_PARAMS = /^(?:utm_\w+|si|feature|fbclid|igsh|igshid|gclid|pp)$/i;
+// yt-dlp's per-format objects are large; only the fields the format pickers
+// read are kept, so cached and persisted metadata stay small.
+const FORMAT_META_FIELDS = [
+  "vcodec",
+  "acodec",
+  "language",
+  "filesize",
+  "filesize_approx",
+  "abr",
+  "tbr",
+  "asr",
+  "audio_channels",
+  "width",
+  "height",
+  "fps",
+  "ext",
+  "format_note",
 ];
 const MAX_THUMBNAIL_BYTES = 8 * 1024 * 1024;
+const STALL_TIMEOUT_MS = config.STALL_TIMEOUT_SECONDS * 1000;
+// yt-dlp post-processors (merging, fixups, conversions) announce themselves
+// once and then run silently for as long as the file takes.
+const YT_DLP_POSTPROCESS_PATTERN = /^\[(?:Merger|Fixup\w*|VideoConvertor|VideoRemuxer|ExtractAudio|FFmpeg\w*)\]/m;
+const TELEGRAM_AUDIO_CODECS = ["aac", "mp3"];
+// Non-H.264 sources above this height are not offered: re-encoding them on a
+// small server takes far longer than the download itself.
+const MAX_REENCODE_HEIGHT = 1080;
+const REENCODE_SIZE_FACTORS = { vp9: 1.8, av1: 2.3, other: 2 };
+// Telegram ignores video thumbnails larger than 320px on either side.
+const VIDEO_THUMBNAIL_SIZE = 320;
+// Parts are cut on keyframes, so they come out uneven; aim below the limit and
+// shorten the segments when one still ends up too big.
+const SPLIT_SIZE_MARGIN = 0.9;
+const SPLIT_MAX_ATTEMPTS = 4;
+// "Fit under N MB" re-encodes: leave room for container overhead and bitrate
+// drift, and pick the tallest resolution that still looks decent at the bitrate.
+const FIT_SIZE_MARGIN = 0.95;
+const FIT_MIN_VIDEO_KBPS = 100;
+const FIT_HEIGHT_STEPS = [
+  { minVideoKbps: 2500, height: 1080 },
+  { minVideoKbps: 1200, height: 720 },
+  { minVideoKbps: 700, height: 480 },
+  { minVideoKbps: 400, height: 360 },
+  { minVideoKbps: 0, height: 240 },
+];
+const PROGRESS_PREFIX = "[yttelbot-progress]";
+const DOWNLOAD_PROGRESS_TEMPLATE = [
+  `download:${PROGRESS_PREFIX}`,
+  "%(progress.downloaded_bytes)s",
+  "%(progress.total_bytes)s",
+  "%(progress.total_bytes_estimate)s",
+  "%(progress.speed)s",
+  "%(progress.eta)s",
+].join(" ");
 
 function createAbortError(message = "Operation canceled") {
   const error = new Error(message);
@@ -26,16 +150,128 @@ function createAbortError(message = "Operation canceled") {
   return error;
 }
 
+export function isTimeoutError(error) {
+  return error?.name === "TimeoutError";
+}
+
+function createStallError(stallTimeoutMs) {
+  const error = new Error(`No output for ${Math.round(stallTimeoutMs / 1000)} seconds`);
+  error.name = "TimeoutError";
+  error.stalled = true;
+  return error;
+}
+
+// A signal aborted by AbortSignal.timeout() keeps its TimeoutError so callers
+// can tell an expired job from a user cancellation.
+function getAbortError(signal) {
+  return isTimeoutError(signal?.reason) ? signal.reason : createAbortError();
+}
+
 function throwIfAborted(signal) {
   if (signal?.aborted) {
-    throw createAbortError();
+    throw getAbortError(signal);
   }
 }
 
-function runCommand(command, args, { onStdout, onStderr, signal } = {}) {
+function createLineReader(onLine) {
+  let buffer = "";
+  return (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split(/\r?\n|\r/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (trimmed) {
+        onLine(trimmed);
+      }
+    }
+  };
+}
+
+function parseProgressNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Parses lines emitted through DOWNLOAD_PROGRESS_TEMPLATE; yt-dlp prints "NA" for unknown fields.
+function parseDownloadProgress(line) {
+  if (!line.startsWith(PROGRESS_PREFIX)) {
+    return null;
+  }
+
+  const [downloadedBytes, totalBytes, totalBytesEstimate, speed, eta] = line
+    .slice(PROGRESS_PREFIX.length)
+    .trim()
+    .split(/\s+/)
+    .map(parseProgressNumber);
+  const expectedBytes = totalBytes || totalBytesEstimate || null;
+
+  return {
+    percent: downloadedBytes !== null && expectedBytes
+      ? Math.min((downloadedBytes / expectedBytes) * 100, 100)
+      : null,
+    downloadedBytes,
+    totalBytes: expectedBytes,
+    speedBytesPerSecond: speed,
+    etaSeconds: eta,
+  };
+}
+
+function parseClockSeconds(value) {
+  const match = value?.match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+// ffmpeg `-progress` writes key=value blocks terminated by a `progress=` line.
+function createFfmpegProgressReader(durationSeconds, onProgress) {
+  let block = {};
+  return createLineReader((line) => {
+    const separator = line.indexOf("=");
+    if (separator === -1) {
+      return;
+    }
+
+    const key = line.slice(0, separator);
+    const value = line.slice(separator + 1).trim();
+    if (key !== "progress") {
+      block[key] = value;
+      return;
+    }
+
+    const outTimeSeconds = parseClockSeconds(block.out_time);
+    const speedFactor = Number.parseFloat(block.speed);
+    block = {};
+    if (outTimeSeconds === null || !durationSeconds) {
+      return;
+    }
+
+    const remainingSeconds = Math.max(durationSeconds - outTimeSeconds, 0);
+    onProgress({
+      percent: value === "end" ? 100 : Math.min((outTimeSeconds / durationSeconds) * 100, 100),
+      etaSeconds: speedFactor > 0 ? Math.round(remainingSeconds / speedFactor) : null,
+    });
+  });
+}
+
+// `stallTimeoutMs` stops the command when it prints nothing for that long.
+// Only pass it for commands that report progress as they go (the yt-dlp
+// download, ffmpeg with `-progress`); others are silent until they finish.
+// Once output matches `stallExemptPattern` the check is off for the rest of
+// the run, e.g. for yt-dlp's merge step, which prints one line and then works
+// quietly.
+function runCommand(command, args, {
+  onStdout,
+  onStderr,
+  signal,
+  stallTimeoutMs = 0,
+  stallExemptPattern = null,
+} = {}) {
   return new Promise((resolvePromise, rejectPromise) => {
     if (signal?.aborted) {
-      rejectPromise(createAbortError());
+      rejectPromise(getAbortError(signal));
       return;
     }
 
@@ -45,43 +281,72 @@ function runCommand(command, args, { onStdout, onStderr, signal } = {}) {
 
     let stdout = "";
     let stderr = "";
-    let aborted = false;
+    let abortError = null;
     let killTimer = null;
+    let stallTimer = null;
+    let stallExempt = false;
 
-    const abortHandler = () => {
-      aborted = true;
+    const stop = (error) => {
+      if (abortError) {
+        return;
+      }
+      abortError = error;
+      clearTimeout(stallTimer);
       child.kill("SIGTERM");
       killTimer = setTimeout(() => {
         child.kill("SIGKILL");
       }, 5000);
     };
 
+    const abortHandler = () => stop(getAbortError(signal));
+
+    const resetStallTimer = (textChunk = "") => {
+      if (!stallTimeoutMs || abortError || stallExempt) {
+        return;
+      }
+      if (stallExemptPattern?.test(textChunk)) {
+        stallExempt = true;
+        clearTimeout(stallTimer);
+        return;
+      }
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => {
+        logger.warn({ command, args, stallTimeoutMs }, "External command stalled");
+        stop(createStallError(stallTimeoutMs));
+      }, stallTimeoutMs);
+    };
+
     signal?.addEventListener("abort", abortHandler, { once: true });
+    resetStallTimer();
 
     child.stdout.on("data", (data) => {
       const textChunk = data.toString();
       stdout += textChunk;
+      resetStallTimer(textChunk);
       onStdout?.(textChunk);
     });
 
     child.stderr.on("data", (data) => {
       const textChunk = data.toString();
       stderr += textChunk;
+      resetStallTimer(textChunk);
       onStderr?.(textChunk);
     });
 
     child.on("error", (error) => {
+      clearTimeout(stallTimer);
       rejectPromise(error);
     });
 
     child.on("close", (code) => {
       signal?.removeEventListener("abort", abortHandler);
+      clearTimeout(stallTimer);
       if (killTimer) {
         clearTimeout(killTimer);
       }
 
-      if (aborted) {
-        rejectPromise(createAbortError());
+      if (abortError) {
+        rejectPromise(abortError);
         return;
       }
 
@@ -107,13 +372,47 @@ function runCommand(command, args, { onStdout, onStderr, signal } = {}) {
   });
 }
 
-function runYtDlp(args, hooks) {
+export function isTransientError(error) {
+  return classifyError(error).transient;
+}
+
+async function waitBeforeRetry(delayMs, signal) {
+  try {
+    await delay(delayMs, undefined, { signal });
+  } catch {
+    throw getAbortError(signal);
+  }
+}
+
+// Transient failures are retried up to YT_DLP_RETRIES times with exponential
+// backoff; anything else is rethrown at once. `onRetry` hears about each retry
+// before the backoff starts. The final error carries the number of attempts.
+async function runYtDlp(args, { onRetry, ...hooks } = {}) {
   if (!existsSync(config.YT_DLP_BINARY_PATH)) {
     const error = new Error(`yt-dlp binary not found at ${config.YT_DLP_BINARY_PATH}`);
     logger.error({ path: config.YT_DLP_BINARY_PATH }, error.message);
     throw error;
   }
-  return runCommand(config.YT_DLP_BINARY_PATH, args, hooks);
+
+  const attempts = config.YT_DLP_RETRIES + 1;
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await runCommand(config.YT_DLP_BINARY_PATH, args, hooks);
+    } catch (error) {
+      if (attempt >= attempts || hooks.signal?.aborted || !isTransientError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delayMs = config.RETRY_BASE_DELAY_SECONDS * 1000 * 2 ** (attempt - 1);
+      logger.warn(
+        { attempt, attempts, delayMs, category: classifyError(error).category, error: error.message },
+        "Transient yt-dlp failure, retrying"
+      );
+      onRetry?.({ attempt: attempt + 1, attempts, delayMs, error });
+      await waitBeforeRetry(delayMs, hooks.signal);
+    }
+  }
 }
 
 function buildArgs(...additional) {
@@ -135,6 +434,11 @@ function buildArgs(...additional) {
   return args;
 }
 
+// Only safe while no job is running, e.g. on startup before persisted jobs resume.
+export async function clearTemporaryDownloads() {
+  await emptyDir(config.DOWNLOAD_TEMP_DIR);
+}
+
 export async function getYtDlpVersion() {
   const { stdout } = await runYtDlp(["--version"]);
   return stdout.trim();
@@ -226,10 +530,10 @@ async function createCoverImage(thumbnailUrl, workingDir, signal) {
     ], { signal });
     return coverPath;
   } catch (error) {
-    if (error.name === "AbortError") {
+    if (error.name === "AbortError" || signal?.aborted) {
       throw error;
     }
-    logger.warn({ error: error.message }, "Failed to prepare MP3 cover art");
+    logger.warn({ error: error.message }, "Failed to prepare cover art");
     return null;
   }
 }
@@ -314,7 +618,7 @@ function parseSizeFromNote(note) {
   return Math.round(value * base ** power);
 }
 
-function formatBytes(bytes) {
+export function formatBytes(bytes) {
   if (!bytes || Number.isNaN(bytes)) {
     return null;
   }
@@ -405,20 +709,68 @@ function determineAudioBitrateKbps(format) {
   return nearestAudioBitrate(Math.round(raw));
 }
 
-function createAudioLabel({ name, bitrateKbps, sizeBytes }) {
+function createAudioLabel({ name, codecLabel = "MP3", bitrateKbps, sizeBytes }) {
   const nameText = name ? `${name} ` : "";
-  const bitrateText = bitrateKbps ? `${bitrateKbps} kbps` : "MP3";
+  const bitrateText = bitrateKbps ? ` ${bitrateKbps} kbps` : "";
   const sizeText = sizeBytes ? ` (~${formatBytes(sizeBytes)})` : "";
-  return `${nameText}MP3 ${bitrateText}${sizeText}`.trim();
+  return `${nameText}${codecLabel}${bitrateText}${sizeText}`.trim();
 }
 
-function createVideoLabel({ height, sizeBytes, audioLanguageLabel }) {
+// Container the source audio can be kept in without re-encoding, or null.
+function getCopyAudioExtension(extension, audioCodec) {
+  const lowerExtension = (extension || "").replace(/^\./, "").toLowerCase();
+  const lowerCodec = (audioCodec || "").toLowerCase();
+  if (lowerExtension === "m4a" || (lowerExtension === "mp4" && lowerCodec.startsWith("mp4a"))) {
+    return ".m4a";
+  }
+  if (["webm", "opus", "ogg"].includes(lowerExtension) && (!lowerCodec || lowerCodec === "opus")) {
+    return ".opus";
+  }
+  return null;
+}
+
+function createAudioPresetOption(preset, durationSeconds) {
+  const codec = AUDIO_CODECS[preset.codec];
+  const estimatedSize = estimateAudioSize(
+    durationSeconds,
+    preset.bitrateKbps || (preset.codec === "flac" ? FLAC_ESTIMATED_KBPS : null)
+  );
+  return {
+    outputAudioCodec: preset.codec,
+    outputAudioBitrateKbps: preset.bitrateKbps || null,
+    outputAudioChannels: preset.channels || null,
+    estimatedSizeBytes: estimatedSize || null,
+    group: codec.label,
+    displayLabel: createAudioLabel({
+      name: preset.name,
+      codecLabel: codec.label,
+      bitrateKbps: preset.bitrateKbps,
+      sizeBytes: estimatedSize,
+    }),
+  };
+}
+
+function createVideoLabel({ height, sizeBytes, audioLanguageLabel, reencode = false }) {
   const quality = height ? `${height}p` : "Video";
   const languageText = audioLanguageLabel ? ` ${audioLanguageLabel}` : "";
-  const sizeText = sizeBytes ? ` (~${formatBytes(sizeBytes)})` : "";
+  const notes = [sizeBytes ? `~${formatBytes(sizeBytes)}` : null, reencode ? "re-encode" : null].filter(Boolean);
+  const sizeText = notes.length ? ` (${notes.join(", ")})` : "";
   return ('MP4 ' + quality + languageText + sizeText).trim();
 }
 
+// The H.264 (CRF 23) output of a VP9/AV1 source is usually bigger than the
+// source, so sizes shown for re-encoded options are scaled up.
+function getReencodeSizeFactor(format) {
+  const codec = (format.meta?.vcodec || "").toLowerCase();
+  if (codec.startsWith("av01") || codec.startsWith("av1")) {
+    return REENCODE_SIZE_FACTORS.av1;
+  }
+  if (codec.startsWith("vp9") || codec.startsWith("vp09")) {
+    return REENCODE_SIZE_FACTORS.vp9;
+  }
+  return REENCODE_SIZE_FACTORS.other;
+}
+
 function preferenceScore(format, type) {
   const note = format.note.toLowerCase();
   let score = 0;
@@ -521,7 +873,7 @@ function pickDownloadedFile(files) {
 }
 
 async function fetchInfo(url) {
-  const args = buildArgs("--dump-json", "--skip-download", "--ignore-no-formats-error", url);
+  const args = buildArgs("--no-playlist", "--dump-json", "--skip-download", "--ignore-no-formats-error", url);
   const { stdout } = await runYtDlp(args);
   const line = stdout
     .split(/\r?\n/)
@@ -533,8 +885,48 @@ async function fetchInfo(url) {
   return JSON.parse(line);
 }
 
-export async function listFormats(url) {
-  logger.info({ url }, "Listing available formats");
+// Stable identity of a media item across URL spellings, e.g. "youtube:dQw4w9WgXcQ".
+function createMediaId(info) {
+  const extractor = info.extractor_key || info.ie_key;
+  return info.id && extractor ? `${extractor.toLowerCase()}:${info.id}` : null;
+}
+
+function pickFormatMeta(format) {
+  return Object.fromEntries(
+    FORMAT_META_FIELDS
+      .filter((field) => format[field] !== undefined && format[field] !== null)
+      .map((field) => [field, format[field]])
+  );
+}
+
+// Results are cached per canonical URL for METADATA_CACHE_TTL_MINUTES; pass
+// `refresh` to skip the cache and ask yt-dlp again. Concurrent calls for the
+// same URL wait for the lookup already running; a refresh only joins another
+// refresh, since an older lookup may have started before the URL changed.
+export async function listFormats(url, { refresh = false } = {}) {
+  const cacheKey = normalizeMediaUrl(url);
+  const cached = refresh ? null : metadataCache.get(cacheKey);
+  if (cached) {
+    logger.info({ url }, "Using cached formats");
+    return structuredClone(cached);
+  }
+
+  const pendingKey = refresh ? `refresh:${cacheKey}` : cacheKey;
+  let lookup = pendingLookups.get(pendingKey);
+  if (lookup) {
+    logger.info({ url }, "Waiting for formats already being listed");
+  } else {
+    lookup = lookupFormats(url, { refresh }).finally(() => pendingLookups.delete(pendingKey));
+    pendingLookups.set(pendingKey, lookup);
+  }
+
+  const result = await lookup;
+  return structuredClone(result);
+}
+
+async function lookupFormats(url, { refresh }) {
+  const cacheKey = normalizeMediaUrl(url);
+  logger.info({ url, refresh }, "Listing available formats");
 
   const info = await fetchInfo(url);
 
@@ -547,7 +939,7 @@ export async function listFormats(url) {
         resolution: createResolution(format),
         note: createFormatNote(format),
         raw: format.format || format.format_id,
-        meta: format,
+        meta: pickFormatMeta(format),
       };
 
       return {
@@ -567,14 +959,126 @@ export async function listFormats(url) {
     "Listed available formats"
   );
 
-  return {
+  const result = {
     title: info.title,
     description: info.description || "",
     thumbnailUrl: selectThumbnailUrl(info),
     webpageUrl: info.webpage_url,
+    mediaId: createMediaId(info),
     durationSeconds: info.duration || null,
+    uploader: info.uploader || info.channel || info.uploader_id || null,
+    uploadDate: info.upload_date || null,
+    viewCount: Number.isFinite(info.view_count) ? info.view_count : null,
     formats,
   };
+  metadataCache.set(cacheKey, result);
+  return result;
+}
+
+// Reduces the common spellings of one media URL (mobile hosts, youtu.be and
+// shorts links, tracking parameters, fragments) to a single form.
+export function normalizeMediaUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url.trim();
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^(?:www|m|mobile)\./, "");
+  if (host === "youtu.be" || (host === "youtube.com" && /^\/(?:shorts|live)\//.test(parsed.pathname))) {
+    const id = parsed.pathname.split("/").filter(Boolean).pop();
+    return `https://youtube.com/watch?v=${id}`;
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const path = parsed.pathname.replace(/\/+$/, "");
+  return `https://${host}${path}${query ? `?${query}` : ""}`;
+}
+
+export function isLikelyPlaylistUrl(url) {
+  if (PLAYLIST_URL_PATTERNS.some((pattern) => pattern.test(url))) {
+    return true;
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  return /(?:^|\.)youtube\.com$/i.test(parsed.hostname)
+    && YOUTUBE_CHANNEL_PATTERNS.some((pattern) => pattern.test(parsed.pathname));
+}
+
+// Resolves playlist and channel URLs to their flat entry list. Returns null when
+// yt-dlp treats the URL as a single item.
+export async function getPlaylistInfo(url) {
+  logger.info({ url }, "Inspecting playlist");
+
+  const args = buildArgs(
+    "--yes-playlist",
+    "--flat-playlist",
+    "--dump-single-json",
+    "--playlist-end",
+    String(config.MAX_PLAYLIST_ENTRIES),
+    url
+  );
+  const { stdout } = await runYtDlp(args);
+  const info = JSON.parse(stdout.trim());
+
+  if (info._type !== "playlist") {
+    return null;
+  }
+
+  const entries = (info.entries || [])
+    .filter((entry) => entry && (entry.url || entry.webpage_url))
+    .filter((entry) => entry._type !== "playlist" && !isLikelyPlaylistUrl(entry.url || entry.webpage_url))
+    .map((entry) => ({
+      id: entry.id,
+      mediaId: createMediaId(entry),
+      url: entry.webpage_url || entry.url,
+      title: entry.title || entry.id || "Untitled",
+      durationSeconds: entry.duration || null,
+      thumbnailUrl: selectThumbnailUrl(entry),
+    }));
+
+  const totalDurationSeconds = entries.reduce((sum, entry) => sum + (entry.durationSeconds || 0), 0);
+
+  logger.info({ url, entryCount: entries.length, totalCount: info.playlist_count }, "Inspected playlist");
+
+  return {
+    title: info.title || "Playlist",
+    webpageUrl: info.webpage_url || url,
+    totalCount: Math.max(info.playlist_count || 0, entries.length),
+    totalDurationSeconds: totalDurationSeconds || null,
+    entries,
+  };
+}
+
+// Format-agnostic presets for batches, where every entry exposes different format IDs.
+export function getPlaylistQualityOptions(type, { durationSeconds } = {}) {
+  if (type === "audio") {
+    return AUDIO_OUTPUT_PRESETS.map((preset) => ({
+      id: "bestaudio/best",
+      ...createAudioPresetOption(preset, durationSeconds),
+      targetFileName: `playlist-audio-${preset.codec}-${preset.bitrateKbps || "lossless"}`,
+    }));
+  }
+
+  return PLAYLIST_VIDEO_HEIGHTS.map((height) => ({
+    id: [
+      `bv*[height<=${height}][ext=mp4]+ba[ext=m4a]`,
+      `b[height<=${height}][ext=mp4]`,
+      `bv*[height<=${height}]+ba`,
+      `b[height<=${height}]`,
+    ].join("/"),
+    estimatedSizeBytes: null,
+    displayLabel: createVideoLabel({ height }),
+    targetFileName: `playlist-${height}p-video`,
+  }));
 }
 
 export function getFormatsByType(formats, type, options = {}) {
@@ -594,23 +1098,39 @@ export function getAudioQualityOptions(formats, { durationSeconds, languageId }
     return [];
   }
 
-  return AUDIO_OUTPUT_PRESETS.map((preset) => {
-    const estimatedSize = estimateAudioSize(durationSeconds, preset.bitrateKbps);
-    return {
+  const options = AUDIO_OUTPUT_PRESETS.map((preset) => ({
+    ...sourceFormat,
+    id: sourceFormat.id,
+    sourceFormatId: sourceFormat.id,
+    ...createAudioPresetOption(preset, durationSeconds),
+    targetFileName: `${sourceFormat.id}-audio-${preset.codec}-${preset.bitrateKbps || "lossless"}`,
+  }));
+
+  const copyExtension = getCopyAudioExtension(sourceFormat.extension, sourceFormat.meta?.acodec);
+  if (copyExtension) {
+    const bitrateKbps = Math.round(sourceFormat.meta?.abr || sourceFormat.meta?.tbr || 0) || null;
+    const estimatedSize = sourceFormat.approxSize || estimateAudioSize(durationSeconds, bitrateKbps);
+    options.push({
       ...sourceFormat,
       id: sourceFormat.id,
       sourceFormatId: sourceFormat.id,
-      outputAudioBitrateKbps: preset.bitrateKbps,
-      outputAudioChannels: preset.channels || null,
+      outputAudioCodec: "copy",
+      // Resolved here, where the source codec is known; the download only sees the extension.
+      outputAudioExtension: copyExtension,
+      outputAudioBitrateKbps: null,
+      outputAudioChannels: null,
       estimatedSizeBytes: estimatedSize || null,
+      group: "Original",
       displayLabel: createAudioLabel({
-        name: preset.name,
-        bitrateKbps: preset.bitrateKbps,
+        name: "Original",
+        codecLabel: copyExtension === ".m4a" ? "M4A" : "Opus",
+        bitrateKbps,
         sizeBytes: estimatedSize,
       }),
-      targetFileName: `${sourceFormat.id}-audio-${preset.bitrateKbps}k`,
-    };
-  });
+      targetFileName: `${sourceFormat.id}-audio-original`,
+    });
+  }
+  return options;
 }
 
 export function getAudioLanguages(formats) {
@@ -649,7 +1169,65 @@ function getMediaLanguages(formats, type) {
   });
 }
 
-export function getVideoQualityOptions(formats, { languageId } = {}) {
+function isH264(format) {
+  return /^(?:avc|h264)/i.test(format.meta?.vcodec || "");
+}
+
+// Target bitrates for a two-pass encode that lands under `maxBytes`, or null
+// when the video is too long to look like anything at that size.
+function planFitEncode(durationSeconds, maxBytes) {
+  if (!durationSeconds || !maxBytes) {
+    return null;
+  }
+  const totalKbps = (maxBytes * 8 * FIT_SIZE_MARGIN) / durationSeconds / 1000;
+  const audioKbps = totalKbps >= 1000 ? 128 : 64;
+  const videoKbps = Math.floor(totalKbps - audioKbps);
+  if (videoKbps < FIT_MIN_VIDEO_KBPS) {
+    return null;
+  }
+  const { height } = FIT_HEIGHT_STEPS.find((step) => videoKbps >= step.minVideoKbps);
+  return { videoKbps, audioKbps, height };
+}
+
+function createFitOption(videos, audioFormat, { durationSeconds, maxBytes }) {
+  const plan = planFitEncode(durationSeconds, maxBytes);
+  if (!plan || !videos.some((video) => !video.estimatedSizeBytes || video.estimatedSizeBytes > maxBytes)) {
+    return null;
+  }
+  // Re-encoding a taller source than needed only costs time.
+  const source = videos.find((video) => (parseResolutionHeight(video.resolution) || video.meta?.height || 0) <= plan.height)
+    || videos[videos.length - 1];
+  const sourceHeight = parseResolutionHeight(source.resolution) || source.meta?.height || null;
+  const height = sourceHeight ? Math.min(sourceHeight, plan.height) : plan.height;
+  return {
+    ...source,
+    fitVideoBitrateKbps: plan.videoKbps,
+    fitAudioBitrateKbps: plan.audioKbps,
+    fitMaxHeight: plan.height,
+    estimatedSizeBytes: Math.round(maxBytes * FIT_SIZE_MARGIN),
+    displayLabel: `Fit under ${Math.floor(maxBytes / (1024 * 1024))} MB (${height}p, re-encode)`,
+    targetFileName: `${source.videoFormatId}-${audioFormat.id}-fit-${plan.videoKbps}k`,
+  };
+}
+
+// Round video note from the smallest source that still fills the circle.
+function createVideoNoteOption(videos, audioFormat, { durationSeconds }) {
+  const height = (video) => parseResolutionHeight(video.resolution) || video.meta?.height || 0;
+  const source = [...videos].reverse().find((video) => height(video) >= VIDEO_NOTE_MAX_SIZE)
+    || videos[0];
+  const trimmed = durationSeconds > VIDEO_NOTE_MAX_SECONDS;
+  return {
+    ...source,
+    videoNote: true,
+    estimatedSizeBytes: null,
+    displayLabel: trimmed ? `⭕ Video note (first ${VIDEO_NOTE_MAX_SECONDS} s)` : "⭕ Video note",
+    targetFileName: `${source.videoFormatId}-${audioFormat.id}-note`,
+  };
+}
+
+// With `durationSeconds` and `maxBytes`, a "Fit under N MB" re-encode option
+// is appended when some of the regular options would be too large.
+export function getVideoQualityOptions(formats, { languageId, durationSeconds, maxBytes } = {}) {
   const audioFormats = languageId
     ? formats.filter((format) => getMediaLanguageId(format) === languageId)
     : formats;
@@ -663,14 +1241,16 @@ export function getVideoQualityOptions(formats, { languageId } = {}) {
     .filter((format) => ["mp4", "webm", "mkv"].includes(format.extension.toLowerCase()))
     .filter((format) => format.meta?.vcodec && format.meta.vcodec !== "none")
     .filter((format) => !format.meta?.acodec || format.meta.acodec === "none")
-    .sort((a, b) => parseResolutionHeight(b.resolution) - parseResolutionHeight(a.resolution));
+    // At equal height H.264 wins, since anything else is re-encoded for Telegram.
+    .sort((a, b) => parseResolutionHeight(b.resolution) - parseResolutionHeight(a.resolution)
+      || Number(isH264(b)) - Number(isH264(a)));
 
   const dedupedVideos = [];
   const seenHeights = new Set();
   for (const format of videoFormats) {
     const height = parseResolutionHeight(format.resolution) || format.meta?.height || 0;
     const key = height || format.id;
-    if (seenHeights.has(key)) {
+    if (seenHeights.has(key) || (!isH264(format) && height > MAX_REENCODE_HEIGHT)) {
       continue;
     }
     seenHeights.add(key);
@@ -678,21 +1258,30 @@ export function getVideoQualityOptions(formats, { languageId } = {}) {
   }
 
   const videos = dedupedVideos.slice(0, 6)
-    .map((format) => ({
-      ...format,
-      id: `${format.id}+${audioFormat.id}`,
-      videoFormatId: format.id,
-      audioFormatId: audioFormat.id,
-      estimatedSizeBytes: (format.approxSize || 0) + (audioFormat.approxSize || 0) || format.estimatedSizeBytes || null,
-      displayLabel: createVideoLabel({
-        height: parseResolutionHeight(format.resolution) || format.meta?.height || null,
-        sizeBytes: (format.approxSize || 0) + (audioFormat.approxSize || 0) || format.estimatedSizeBytes,
-      }),
-      targetFileName: `${format.id}-${audioFormat.id}-video`,
-    }));
+    .map((format) => {
+      const reencode = !isH264(format);
+      const videoSize = format.approxSize
+        ? Math.round(format.approxSize * (reencode ? getReencodeSizeFactor(format) : 1))
+        : 0;
+      const estimatedSizeBytes = videoSize + (audioFormat.approxSize || 0) || format.estimatedSizeBytes || null;
+      return {
+        ...format,
+        id: `${format.id}+${audioFormat.id}`,
+        videoFormatId: format.id,
+        audioFormatId: audioFormat.id,
+        estimatedSizeBytes,
+        displayLabel: createVideoLabel({
+          height: parseResolutionHeight(format.resolution) || format.meta?.height || null,
+          sizeBytes: estimatedSizeBytes,
+          reencode,
+        }),
+        targetFileName: `${format.id}-${audioFormat.id}-video`,
+      };
+    });
 
   if (videos.length) {
-    return videos;
+    const fitOption = createFitOption(videos, audioFormat, { durationSeconds, maxBytes });
+    return [...videos, fitOption, createVideoNoteOption(videos, audioFormat, { durationSeconds })].filter(Boolean);
   }
 
   return filterWellKnownFormats(formats, "video");
@@ -707,8 +1296,15 @@ export async function downloadMedia({
   targetFileName,
   outputAudioBitrateKbps,
   outputAudioChannels,
+  outputAudioCodec,
+  outputAudioExtension,
+  fitVideoBitrateKbps,
+  fitAudioBitrateKbps,
+  fitMaxHeight,
+  videoNote,
   description,
   thumbnailUrl,
+  durationSeconds,
   signal,
 }) {
   throwIfAborted(signal);
@@ -720,16 +1316,36 @@ export async function downloadMedia({
     const outputTemplate = join(workingDir, "%(id)s.%(ext)s");
 
     const args = buildArgs(
-      "--no-progress",
+      "--no-playlist",
+      "--newline",
+      "--progress-template",
+      DOWNLOAD_PROGRESS_TEMPLATE,
       "--output",
       outputTemplate,
       "-f",
       formatId,
+      // Video notes only use the start, so there is no point fetching the rest.
+      ...(videoNote ? ["--download-sections", `*0-${VIDEO_NOTE_MAX_SECONDS + 1}`] : []),
       url
     );
 
-    onStatus?.("Downloading source...");
-    await runYtDlp(args, { signal });
+    let downloadStatus = "Downloading source...";
+    onStatus?.(downloadStatus);
+    await runYtDlp(args, {
+      signal,
+      stallTimeoutMs: STALL_TIMEOUT_MS,
+      stallExemptPattern: YT_DLP_POSTPROCESS_PATTERN,
+      onStdout: createLineReader((line) => {
+        const progress = parseDownloadProgress(line);
+        if (progress) {
+          onStatus?.(downloadStatus, progress);
+        }
+      }),
+      onRetry: ({ attempt, attempts, delayMs }) => {
+        downloadStatus = `Downloading source (attempt ${attempt}/${attempts})...`;
+        onStatus?.(`Temporary error, retrying in ${Math.round(delayMs / 1000)}s (attempt ${attempt}/${attempts})...`);
+      },
+    });
     throwIfAborted(signal);
 
     const files = await readdir(workingDir);
@@ -743,82 +1359,68 @@ export async function downloadMedia({
     const displayTitle = expectedTitle || baseTitle;
     const originalExt = parsePath(downloadedFile).ext || (type === "audio" ? ".mp3" : ".mp4");
     const randomName = crypto.randomUUID();
-    const safeBase = type === "audio" && outputAudioBitrateKbps
+    // Persisted jobs from before codec choices only carry a bitrate: MP3.
+    const audioCodec = type === "audio"
+      ? (outputAudioCodec || (outputAudioBitrateKbps ? "mp3" : null))
+      : null;
+    const audioExtension = audioCodec === "copy"
+      ? outputAudioExtension || getCopyAudioExtension(originalExt)
+      : AUDIO_CODECS[audioCodec]?.extension;
+    const safeBase = audioExtension
       ? baseTitle
       : sanitizeFileName(targetFileName || randomName);
-    const finalExt = type === "audio" && outputAudioBitrateKbps ? ".mp3" : originalExt;
+    const fitToSize = type === "video" && fitVideoBitrateKbps;
+    const finalExt = audioExtension || (type === "video" ? ".mp4" : originalExt);
     const finalFileName = `${safeBase}${finalExt}`;
     const finalPath = join(workingDir, finalFileName);
 
-    if (type === "audio" && outputAudioBitrateKbps) {
-      onStatus?.(`Converting to MP3 ${outputAudioBitrateKbps} kbps...`);
-      const coverPath = await createCoverImage(thumbnailUrl, workingDir, signal);
-      const ffmpegArgs = [
-        "-hide_banner",
-        "-loglevel",
-        "error",
-        "-y",
-        "-i",
-        downloadedPath,
-      ];
-
-      if (coverPath) {
-        ffmpegArgs.push(
-          "-i",
-          coverPath,
-          "-map",
-          "1:v:0"
-        );
-      } else {
-        ffmpegArgs.push("-vn");
-      }
-
-      ffmpegArgs.push(
-        "-map",
-        "0:a:0",
-        "-codec:a",
-        "libmp3lame",
-        "-b:a",
-        `${outputAudioBitrateKbps}k`,
-      );
-
-      if (outputAudioChannels) {
-        ffmpegArgs.push("-ac", String(outputAudioChannels));
-      }
-
-      ffmpegArgs.push(
-        "-id3v2_version",
-        "3",
-        "-metadata",
-        `title=${cleanMetadataValue(displayTitle, 255)}`
-      );
-
-      if (description) {
-        ffmpegArgs.push("-metadata", `comment=${cleanMetadataValue(description)}`);
+    if (audioExtension) {
+      await convertAudio(downloadedPath, finalPath, {
+        codec: audioCodec,
+        bitrateKbps: outputAudioBitrateKbps,
+        channels: outputAudioChannels,
+        title: displayTitle,
+        description,
+        thumbnailUrl,
+        workingDir,
+        durationSeconds,
+        signal,
+        onStatus,
+      });
+      await remove(downloadedPath);
+    } else if (fitToSize) {
+      await encodeToBitrate(downloadedPath, finalPath, {
+        workingDir,
+        videoKbps: fitVideoBitrateKbps,
+        audioKbps: fitAudioBitrateKbps,
+        maxHeight: fitMaxHeight,
+        durationSeconds,
+        signal,
+        onStatus,
+      });
+      await remove(downloadedPath);
+    } else if (type === "video") {
+      // ffmpeg cannot write over its own input.
+      const sourcePath = downloadedPath === finalPath ? join(workingDir, `source${originalExt}`) : downloadedPath;
+      if (sourcePath !== downloadedPath) {
+        await move(downloadedPath, sourcePath);
       }
-
-      if (coverPath) {
-        ffmpegArgs.push(
-          "-codec:v",
-          "mjpeg",
-          "-disposition:v",
-          "attached_pic",
-          "-metadata:s:v",
-          "title=Album cover",
-          "-metadata:s:v",
-          "comment=Cover (front)"
-        );
+      if (videoNote) {
+        await convertToVideoNote(sourcePath, finalPath, { signal, onStatus });
+      } else {
+        await convertToTelegramVideo(sourcePath, finalPath, { durationSeconds, signal, onStatus });
       }
-
-      ffmpegArgs.push(finalPath);
-
-      await runCommand("ffmpeg", ffmpegArgs, { signal });
-      await remove(downloadedPath);
+      await remove(sourcePath);
     } else if (downloadedPath !== finalPath) {
       await move(downloadedPath, finalPath, { overwrite: true });
     }
 
     const fileStats = await stat(finalPath);
+    const videoInfo = type === "video" ? await describeVideo(finalPath, workingDir, signal) : {};
+    // Voice messages show their length next to the waveform.
+    const voiceInfo = audioCodec === "voice"
+      ? { sendAs: "voice", durationSeconds: await probeDuration(finalPath, signal) || durationSeconds }
+      : {};
 
     const cleanup = async () => {
       await remove(workingDir);
@@ -827,8 +1429,12 @@ export async function downloadMedia({
     return {
       filePath: finalPath,
       fileName: finalFileName,
+      type,
       title: displayTitle,
       size: fileStats.size,
+      ...videoInfo,
+      ...voiceInfo,
+      ...(videoNote ? { sendAs: "video_note" } : {}),
       stream: () => createReadStream(finalPath),
       cleanup,
     };
@@ -842,3 +1448,446 @@ export async function downloadMedia({
     throw error;
   }
 }
+
+// Converts (or, for "copy", remuxes) the audio and tags it with the title,
+// description and the thumbnail as cover art.
+async function convertAudio(inputPath, outputPath, {
+  codec,
+  bitrateKbps,
+  channels,
+  title,
+  description,
+  thumbnailUrl,
+  workingDir,
+  durationSeconds,
+  signal,
+  onStatus,
+}) {
+  const settings = codec === "copy"
+    ? { args: ["-codec:a", "copy"], cover: extnameIs(outputPath, ".opus") ? "vorbis" : "stream" }
+    : AUDIO_CODECS[codec];
+  const status = codec === "copy"
+    ? "Extracting original audio..."
+    : `Converting to ${settings.label}${bitrateKbps ? ` ${bitrateKbps} kbps` : ""}...`;
+  onStatus?.(status);
+  const coverPath = settings.cover ? await createCoverImage(thumbnailUrl, workingDir, signal) : null;
+  const ffmpegArgs = [
+    "-hide_banner",
+    "-loglevel",
+    "error",
+    "-nostats",
+    "-progress",
+    "pipe:1",
+    "-y",
+    "-i",
+    inputPath,
+  ];
+
+  const coverStream = coverPath && settings.cover === "stream";
+  if (coverStream) {
+    ffmpegArgs.push("-i", coverPath, "-map", "1:v:0");
+  } else {
+    ffmpegArgs.push("-vn");
+  }
+  const metadataPath = coverPath && settings.cover === "vorbis"
+    ? await writeVorbisCoverMetadata(coverPath, workingDir, signal)
+    : null;
+  if (metadataPath) {
+    ffmpegArgs.push("-f", "ffmetadata", "-i", metadataPath, "-map_metadata", "1");
+  }
+
+  ffmpegArgs.push("-map", "0:a:0", ...settings.args);
+  if (bitrateKbps) {
+    ffmpegArgs.push("-b:a", `${bitrateKbps}k`);
+  }
+  if (channels) {
+    ffmpegArgs.push("-ac", String(channels));
+  }
+
+  ffmpegArgs.push("-metadata", `title=${cleanMetadataValue(title, 255)}`);
+  if (description) {
+    ffmpegArgs.push("-metadata", `comment=${cleanMetadataValue(description)}`);
+  }
+
+  if (coverStream) {
+    ffmpegArgs.push(
+      "-codec:v",
+      "mjpeg",
+      "-disposition:v",
+      "attached_pic",
+      "-metadata:s:v",
+      "title=Album cover",
+      "-metadata:s:v",
+      "comment=Cover (front)"
+    );
+  }
+
+  ffmpegArgs.push(outputPath);
+
+  await runCommand("ffmpeg", ffmpegArgs, {
+    signal,
+    stallTimeoutMs: STALL_TIMEOUT_MS,
+    onStdout: createFfmpegProgressReader(durationSeconds, (progress) => {
+      onStatus?.(status, progress);
+    }),
+  });
+}
+
+function extnameIs(filePath, extension) {
+  return parsePath(filePath).ext.toLowerCase() === extension;
+}
+
+// Ogg files carry cover art as a base64 FLAC picture block in the
+// METADATA_BLOCK_PICTURE comment. It is passed through an ffmetadata file
+// because it easily exceeds the length limit of a single command-line argument.
+async function writeVorbisCoverMetadata(coverPath, workingDir, signal) {
+  let image;
+  let dimensions;
+  try {
+    image = await readFile(coverPath);
+    dimensions = await probeMedia(coverPath, signal);
+  } catch (error) {
+    if (error.name === "AbortError" || signal?.aborted) {
+      throw error;
+    }
+    logger.warn({ error: error.message }, "Failed to read cover art");
+    return null;
+  }
+  const { width, height } = dimensions;
+  const mime = Buffer.from("image/jpeg");
+  const pictureDescription = Buffer.from("Cover (front)");
+  const header = Buffer.alloc(32 + mime.length + pictureDescription.length);
+  let offset = header.writeUInt32BE(3, 0); // front cover
+  offset = header.writeUInt32BE(mime.length, offset);
+  offset += mime.copy(header, offset);
+  offset = header.writeUInt32BE(pictureDescription.length, offset);
+  offset += pictureDescription.copy(header, offset);
+  offset = header.writeUInt32BE(width || 0, offset);
+  offset = header.writeUInt32BE(height || 0, offset);
+  offset = header.writeUInt32BE(24, offset); // colour depth
+  offset = header.writeUInt32BE(0, offset); // palette size
+  header.writeUInt32BE(image.length, offset);
+  const block = Buffer.concat([header, image]).toString("base64");
+
+  const metadataPath = join(workingDir, "cover-metadata.txt");
+  // ffmetadata escapes "=", ";", "#", backslashes and newlines; base64 only has "=".
+  await writeFile(metadataPath, `;FFMETADATA1\nMETADATA_BLOCK_PICTURE=${block.replace(/=/g, "\\=")}\n`);
+  return metadataPath;
+}
+
+// Two-pass H.264/AAC encode at a fixed average bitrate, which is what makes
+// the output size predictable. Pass 1 only writes x264's stats log.
+async function encodeToBitrate(inputPath, outputPath, {
+  workingDir,
+  videoKbps,
+  audioKbps,
+  maxHeight,
+  durationSeconds,
+  signal,
+  onStatus,
+}) {
+  const passLogFile = join(workingDir, "x264-pass");
+  const videoArgs = [
+    "-map",
+    "0:v:0",
+    "-c:v",
+    "libx264",
+    "-preset",
+    "medium",
+    "-b:v",
+    `${videoKbps}k`,
+    "-maxrate",
+    `${Math.round(videoKbps * 1.5)}k`,
+    "-bufsize",
+    `${videoKbps * 2}k`,
+    "-pix_fmt",
+    "yuv420p",
+    "-passlogfile",
+    passLogFile,
+  ];
+  if (maxHeight) {
+    videoArgs.push("-vf", `scale=-2:'min(${maxHeight},ih)'`);
+  }
+  const duration = durationSeconds || await probeDuration(inputPath, signal);
+
+  for (const pass of [1, 2]) {
+    throwIfAborted(signal);
+    const status = `Re-encoding to fit the size limit (pass ${pass}/2)...`;
+    onStatus?.(status);
+    const outputArgs = pass === 1
+      ? ["-an", "-f", "null", "-"]
+      : ["-map", "0:a:0?", "-c:a", "aac", "-b:a", `${audioKbps}k`, "-movflags", "+faststart", outputPath];
+    await runCommand("ffmpeg", [
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-nostats",
+      "-progress",
+      "pipe:1",
+      "-y",
+      "-i",
+      inputPath,
+      ...videoArgs,
+      "-pass",
+      String(pass),
+      ...outputArgs,
+    ], {
+      signal,
+      stallTimeoutMs: STALL_TIMEOUT_MS,
+      onStdout: createFfmpegProgressReader(duration, (progress) => {
+        onStatus?.(status, progress);
+      }),
+    });
+  }
+}
+
+async function probeMedia(filePath, signal) {
+  const { stdout } = await runCommand("ffprobe", [
+    "-v",
+    "error",
+    "-print_format",
+    "json",
+    "-show_streams",
+    "-show_format",
+    filePath,
+  ], { signal });
+  const { streams = [], format = {} } = JSON.parse(stdout);
+  // Cover art shows up as a single-frame video stream.
+  const video = streams.find((stream) => stream.codec_type === "video" && !stream.disposition?.attached_pic);
+  const audio = streams.find((stream) => stream.codec_type === "audio");
+  const duration = Number.parseFloat(format.duration);
+  return {
+    durationSeconds: Number.isFinite(duration) && duration > 0 ? duration : null,
+    videoCodec: video?.codec_name || null,
+    pixelFormat: video?.pix_fmt || null,
+    width: video?.width || null,
+    height: video?.height || null,
+    audioCodec: audio?.codec_name || null,
+  };
+}
+
+async function probeDuration(filePath, signal) {
+  return (await probeMedia(filePath, signal)).durationSeconds;
+}
+
+// Telegram only plays H.264 (8-bit 4:2:0) with AAC or MP3 inline; anything
+// else arrives as a file without a player. Compatible streams are copied, the
+// rest re-encoded, and the index moved to the front so playback can start
+// before the upload has fully arrived.
+async function convertToTelegramVideo(inputPath, outputPath, { durationSeconds, signal, onStatus }) {
+  const probe = await probeMedia(inputPath, signal);
+  const copyVideo = probe.videoCodec === "h264" && (!probe.pixelFormat || probe.pixelFormat === "yuv420p");
+  const copyAudio = !probe.audioCodec || TELEGRAM_AUDIO_CODECS.includes(probe.audioCodec);
+  const status = copyVideo ? "Preparing video for Telegram..." : "Converting video to H.264...";
+  onStatus?.(status);
+  logger.info({ file: inputPath, ...probe, copyVideo, copyAudio }, "Converting video to MP4");
+
+  const args = [
+    "-hide_banner",
+    "-loglevel",
+    "error",
+    "-nostats",
+    "-progress",
+    "pipe:1",
+    "-y",
+    "-i",
+    inputPath,
+    "-map",
+    "0:v:0",
+    "-map",
+    "0:a:0?",
+    ...(copyVideo
+      ? ["-c:v", "copy"]
+      : ["-c:v", "libx264", "-preset", "veryfast", "-crf", "23", "-pix_fmt", "yuv420p"]),
+    ...(copyAudio ? ["-c:a", "copy"] : ["-c:a", "aac", "-b:a", "160k"]),
+    "-movflags",
+    "+faststart",
+    outputPath,
+  ];
+  await runCommand("ffmpeg", args, {
+    signal,
+    stallTimeoutMs: STALL_TIMEOUT_MS,
+    onStdout: createFfmpegProgressReader(probe.durationSeconds || durationSeconds, (progress) => {
+      onStatus?.(status, progress);
+    }),
+  });
+}
+
+// Center-crops to a square and keeps the first VIDEO_NOTE_MAX_SECONDS, which
+// is what sendVideoNote accepts.
+async function convertToVideoNote(inputPath, outputPath, { signal, onStatus }) {
+  const probe = await probeMedia(inputPath, signal);
+  const side = Math.min(probe.width || VIDEO_NOTE_MAX_SIZE, probe.height || VIDEO_NOTE_MAX_SIZE);
+  // x264 needs even dimensions.
+  const size = Math.floor(Math.min(side, VIDEO_NOTE_MAX_SIZE) / 2) * 2;
+  const duration = Math.min(probe.durationSeconds || VIDEO_NOTE_MAX_SECONDS, VIDEO_NOTE_MAX_SECONDS);
+  const status = "Converting to a video note...";
+  onStatus?.(status);
+
+  await runCommand("ffmpeg", [
+    "-hide_banner",
+    "-loglevel",
+    "error",
+    "-nostats",
+    "-progress",
+    "pipe:1",
+    "-y",
+    "-i",
+    inputPath,
+    "-t",
+    String(VIDEO_NOTE_MAX_SECONDS),
+    "-map",
+    "0:v:0",
+    "-map",
+    "0:a:0?",
+    "-vf",
+    `crop='min(iw,ih)':'min(iw,ih)',scale=${size}:${size},setsar=1`,
+    "-c:v",
+    "libx264",
+    "-preset",
+    "veryfast",
+    "-crf",
+    "26",
+    "-pix_fmt",
+    "yuv420p",
+    "-c:a",
+    "aac",
+    "-b:a",
+    "96k",
+    "-movflags",
+    "+faststart",
+    outputPath,
+  ], {
+    signal,
+    stallTimeoutMs: STALL_TIMEOUT_MS,
+    onStdout: createFfmpegProgressReader(duration, (progress) => {
+      onStatus?.(status, progress);
+    }),
+  });
+}
+
+// Dimensions, duration and a preview frame for sendVideo. A missing thumbnail
+// only costs the preview, so failures there are logged and ignored.
+async function describeVideo(filePath, workingDir, signal) {
+  const { durationSeconds, width, height } = await probeMedia(filePath, signal);
+  const thumbnailPath = join(workingDir, "video-thumbnail.jpg");
+  try {
+    await runCommand("ffmpeg", [
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-y",
+      "-ss",
+      String(Math.min((durationSeconds || 0) * 0.1, 5)),
+      "-i",
+      filePath,
+      "-frames:v",
+      "1",
+      "-vf",
+      `scale=${VIDEO_THUMBNAIL_SIZE}:${VIDEO_THUMBNAIL_SIZE}:force_original_aspect_ratio=decrease`,
+      "-q:v",
+      "5",
+      thumbnailPath,
+    ], { signal });
+  } catch (error) {
+    if (error.name === "AbortError" || signal?.aborted) {
+      throw error;
+    }
+    logger.warn({ error: error.message }, "Failed to generate video thumbnail");
+    return { durationSeconds, width, height, thumbnailPath: null };
+  }
+  return { durationSeconds, width, height, thumbnailPath };
+}
+
+// Cuts a finished download into stream-copied parts of at most `maxBytes`
+// each, next to the original file. Returns the parts in order plus a
+// `cleanup` that removes them again.
+export async function splitMedia(download, { maxBytes, durationSeconds, signal, onStatus }) {
+  throwIfAborted(signal);
+  const duration = await probeDuration(download.filePath, signal) || durationSeconds;
+  if (!duration) {
+    throw new Error("Cannot split a file of unknown duration");
+  }
+
+  const partsDir = join(dirname(download.filePath), `parts-${crypto.randomUUID()}`);
+  const { name, ext } = parsePath(download.fileName);
+  const isAudio = download.type === "audio";
+  const cleanup = async () => {
+    await remove(partsDir);
+  };
+
+  let segmentSeconds = Math.max(duration * (maxBytes * SPLIT_SIZE_MARGIN) / download.size, 1);
+  try {
+    for (let attempt = 1; attempt <= SPLIT_MAX_ATTEMPTS; attempt += 1) {
+      await emptyDir(partsDir);
+      const status = "Splitting into parts...";
+      onStatus?.(status);
+      const ffmpegArgs = [
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        "-nostats",
+        "-progress",
+        "pipe:1",
+        "-y",
+        "-i",
+        download.filePath,
+        // Cover art and subtitle streams do not survive segmenting.
+        ...(isAudio ? ["-map", "0:a"] : ["-map", "0:v:0", "-map", "0:a?"]),
+        "-c",
+        "copy",
+        "-f",
+        "segment",
+        "-segment_time",
+        segmentSeconds.toFixed(3),
+        "-reset_timestamps",
+        "1",
+      ];
+      if ([".mp4", ".m4a", ".mov"].includes(ext.toLowerCase())) {
+        ffmpegArgs.push("-segment_format_options", "movflags=+faststart");
+      }
+      ffmpegArgs.push(join(partsDir, `part-%03d${ext}`));
+
+      await runCommand("ffmpeg", ffmpegArgs, {
+        signal,
+        stallTimeoutMs: STALL_TIMEOUT_MS,
+        onStdout: createFfmpegProgressReader(duration, (progress) => {
+          onStatus?.(status, progress);
+        }),
+      });
+
+      const files = (await readdir(partsDir)).sort();
+      const sizes = await Promise.all(files.map(async (file) => (await stat(join(partsDir, file))).size));
+      const largest = Math.max(...sizes);
+      if (largest <= maxBytes) {
+        const count = files.length;
+        const parts = [];
+        for (const [index, file] of files.entries()) {
+          const fileName = `${name} (part ${index + 1} of ${count})${ext}`;
+          const filePath = join(partsDir, fileName);
+          await move(join(partsDir, file), filePath);
+          parts.push({
+            filePath,
+            fileName,
+            title: `${download.title} (Part ${index + 1}/${count})`,
+            caption: `${download.title}\nPart ${index + 1}/${count}`,
+            size: sizes[index],
+            width: download.width,
+            height: download.height,
+            thumbnailPath: download.thumbnailPath,
+            stream: () => createReadStream(filePath),
+          });
+        }
+        logger.info({ file: download.fileName, size: download.size, parts: count, attempt }, "Split download into parts");
+        return { parts, cleanup };
+      }
+
+      logger.info({ file: download.fileName, segmentSeconds, largest, maxBytes, attempt }, "Split part too large; shortening segments");
+      segmentSeconds = Math.max(segmentSeconds * (maxBytes * SPLIT_SIZE_MARGIN) / largest, 1);
+    }
+    throw new Error("Could not split the file into parts under the size limit");
+  } catch (error) {
+    await cleanup().catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,111 @@
+// Maps yt-dlp stderr to a failure category with a message for the user.
+// Rules are checked in order, so the more specific ones (age-restricted
+// videos also mention signing in) come first.
+const RULES = [
+  {
+    category: "private",
+    patterns: [/Private video/i, /This video is private/i, /video is private/i],
+    message: "This video is private.",
+    suggestion: "Only its owner and people they shared it with can watch it.",
+  },
+  {
+    category: "age_restricted",
+    patterns: [/age[- ]restricted/i, /confirm your age/i, /inappropriate for some users/i],
+    message: "This video is age-restricted.",
+    suggestion: "Cookies from a signed-in adult account are required; ask an admin to update cookies.txt.",
+  },
+  {
+    category: "members_only",
+    patterns: [/members[- ]only/i, /Join this channel/i, /available to this channel's members/i],
+    message: "This video is for channel members only.",
+    suggestion: "Cookies from an account with a membership are required; ask an admin to update cookies.txt.",
+  },
+  {
+    category: "geo_blocked",
+    patterns: [
+      /not (?:made this video )?available in your country/i,
+      /geo[- ]?restrict/i,
+      /blocked it in your country/i,
+      /not available from your location/i,
+    ],
+    message: "This media is not available in the bot's region.",
+    suggestion: "Try another link to the same content.",
+  },
+  {
+    category: "removed",
+    patterns: [
+      /has been removed/i,
+      /account .*(?:terminated|closed)/i,
+      /no longer available/i,
+      /Video unavailable/i,
+      /This video is unavailable/i,
+      /HTTP Error 404/i,
+      /does not exist/i,
+    ],
+    message: "This media has been removed or is unavailable.",
+    suggestion: "Check that the link still opens in a browser.",
+  },
+  {
+    category: "sign_in_required",
+    patterns: [
+      /Sign in to confirm you(?:'|’)?re not a bot/i,
+      /sign in/i,
+      /login required/i,
+      /requires? (?:authentication|login)/i,
+      /--cookies/i,
+    ],
+    message: "The site requires signing in to download this.",
+    suggestion: "Cookies required: ask an admin to refresh cookies.txt.",
+  },
+  {
+    category: "unsupported_url",
+    patterns: [/Unsupported URL/i, /is not a valid URL/i, /No video formats found/i],
+    message: "This link is not supported.",
+    suggestion: "Send a direct link to a video or audio page.",
+  },
+  {
+    category: "transient",
+    transient: true,
+    patterns: [
+      /HTTP Error (?:5\d\d|429)\b/i,
+      /Too Many Requests/i,
+      /Connection (?:reset|refused|aborted)/i,
+      /\[Errno (?:104|110|111|32)\]/,
+      /Remote end closed connection/i,
+      /IncompleteRead/i,
+      /timed out/i,
+      /Temporary failure in name resolution/i,
+      /Name or service not known/i,
+      /Network is unreachable/i,
+      /fragment \d+ not found/i,
+      /\bSSL\b.*(?:EOF|handshake)/i,
+      /Got server HTTP error/i,
+    ],
+    message: "The source had a temporary problem.",
+    suggestion: "Please try again in a few minutes.",
+  },
+];
+
+// No specific message: callers fall back to their own wording.
+const UNKNOWN = {
+  category: "unknown",
+  transient: false,
+  message: null,
+  suggestion: null,
+};
+
+export function classifyError(error) {
+  const stderr = error?.stderr || "";
+  const rule = stderr && RULES.find(({ patterns }) => patterns.some((pattern) => pattern.test(stderr)));
+  if (!rule) {
+    return UNKNOWN;
+  }
+  const { category, transient = false, message, suggestion } = rule;
+  return { category, transient, message, suggestion };
+}
+
+// `fallback` is used when the error does not match any known pattern.
+export function describeError(error, fallback) {
+  const { message, suggestion } = classifyError(error);
+  return message ? `${message} ${suggestion}` : fallback;
+}
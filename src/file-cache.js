@@ -0,0 +1,48 @@
+import { readJsonFile, writeJsonFile } from "./json-file.js";
+
+// Telegram file_ids of files the bot already uploaded, so a repeat request can
+// be answered without downloading anything.
+export class FileCache {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = new Map(Object.entries(readJsonFile(filePath, {})));
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  set(key, entry) {
+    this.entries.set(key, { ...entry, cachedAt: Date.now() });
+    this.#flush();
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) {
+      this.#flush();
+    }
+  }
+
+  // Removes every entry the predicate matches and returns how many were dropped.
+  purge(predicate = () => true) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (predicate(entry, key)) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    if (removed) {
+      this.#flush();
+    }
+    return removed;
+  }
+
+  #flush() {
+    writeJsonFile(this.filePath, Object.fromEntries(this.entries));
+  }
+}
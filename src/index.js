@@ -1,11 +1,17 @@
 import { Telegraf, Markup } from "telegraf";
-import { existsSync, statSync } from "node:fs";
-import { randomUUID } from "node:crypto";
+import { createReadStream, existsSync, statSync } from "node:fs";
+import { randomBytes, randomUUID } from "node:crypto";
 import { config } from "./config.js";
 import { logger } from "./logger.js";
 import { SessionStore } from "./session-store.js";
 import { DownloadQueue } from "./queue.js";
-import { getAudioLanguages, getAudioQualityOptions, getVideoLanguages, getVideoQualityOptions, getYtDlpVersion, listFormats, downloadMedia } from "./downloader.js";
+import { JobStore } from "./job-store.js";
+import { UserStore } from "./user-store.js";
+import { QuotaTracker } from "./quota.js";
+import { classifyError, describeError } from "./error-classifier.js";
+import { SharedDownloads } from "./shared-downloads.js";
+import { FileCache } from "./file-cache.js";
+import { getAudioLanguages, getAudioQualityOptions, getVideoLanguages, getVideoQualityOptions, getYtDlpVersion, listFormats, downloadMedia, isTimeoutError, formatBytes, isLikelyPlaylistUrl, normalizeMediaUrl, splitMedia, getPlaylistInfo, getPlaylistQualityOptions, clearTemporaryDownloads } from "./downloader.js";
 
 const telegrafOptions = {};
 if (config.TELEGRAM_API_ROOT) {
@@ -15,24 +21,128 @@ if (config.TELEGRAM_API_ROOT) {
 }
 
 const bot = new Telegraf(config.TELEGRAM_BOT_TOKEN, telegrafOptions);
-const sessions = new SessionStore();
-const queue = new DownloadQueue(config.MAX_CONCURRENT_DOWNLOADS);
+const sessions = new SessionStore({
+  filePath: config.SESSION_STORE_PATH,
+  ttlMs: config.SESSION_TTL_MINUTES * 60 * 1000,
+  onExpire: handleExpiredSession,
+});
+const jobStore = new JobStore(config.JOB_STORE_PATH);
+const users = new UserStore(config.USER_STORE_PATH, { seedUserIds: config.AUTHORIZED_USER_IDS });
+const quotas = new QuotaTracker(config.QUOTA_STORE_PATH, {
+  maxActiveJobs: config.MAX_ACTIVE_JOBS_PER_USER,
+  maxJobsPerHour: config.MAX_JOBS_PER_HOUR,
+  maxBytesPerDay: config.MAX_MB_PER_DAY * 1024 * 1024,
+});
+const queue = new DownloadQueue(config.MAX_CONCURRENT_DOWNLOADS, { store: jobStore });
+const sharedDownloads = new SharedDownloads();
+const oversizedDownloads = new Map();
+const fileCache = new FileCache(config.FILE_CACHE_PATH);
+
+// Waiting requests rewrite their status message whenever their place in the
+// queue moves, so "Queued (#N)" stays accurate as other jobs finish or leave.
+queue.on("position-changed", ({ id, descriptor, position, estimatedWaitSeconds }) => {
+  const entry = sharedDownloads.get(id);
+  if (entry) {
+    sharedDownloads.notify(entry, "onQueuePosition", position, estimatedWaitSeconds);
+    return;
+  }
+  sessions.get(descriptor?.requestId)?.activeJob?.onQueuePosition?.(descriptor, position, estimatedWaitSeconds);
+});
+queue.on("started", ({ id, owner, descriptor }) => {
+  logger.debug({ jobId: id, userId: owner, requestId: descriptor?.requestId }, "Job started");
+});
+queue.on("failed", ({ id, owner, descriptor, error }) => {
+  logger.debug({ jobId: id, userId: owner, requestId: descriptor?.requestId, error: error?.message }, "Job failed");
+});
 
 if (config.TELEGRAM_API_ROOT) {
   logger.info({ apiRoot: config.TELEGRAM_API_ROOT }, "Using custom Telegram Bot API root");
 }
 
 const TELEGRAM_FILE_LIMIT_BYTES = config.MAX_FILE_SIZE_BYTES;
+const PROGRESS_BAR_WIDTH = 10;
+const MAX_RESUME_ATTEMPTS = 2;
+// Playlist entries yield to single links so a big batch does not hold up
+// quick requests, including the same user's.
+const PLAYLIST_JOB_PRIORITY = -1;
+// Keeps preview captions well under Telegram's 1024 character limit.
+const MAX_PREVIEW_TITLE_LENGTH = 300;
 
 function isAbortError(error) {
   return error?.name === "AbortError";
 }
 
+// Bounds the whole download/convert run of a job; the job's own controller
+// still handles cancellation.
+function createJobSignal(controller) {
+  if (!config.JOB_TIMEOUT_MINUTES) {
+    return controller.signal;
+  }
+  return AbortSignal.any([controller.signal, AbortSignal.timeout(config.JOB_TIMEOUT_MINUTES * 60 * 1000)]);
+}
+
+function describeTimeout(error) {
+  if (error.stalled) {
+    return `Timed out: no download progress for ${config.STALL_TIMEOUT_SECONDS} seconds. The source may be throttled or stuck; please try again later.`;
+  }
+  return `Timed out: the job ran longer than ${config.JOB_TIMEOUT_MINUTES} minutes. Try a smaller format or try again later.`;
+}
+
+function isAdmin(userId) {
+  return config.ADMIN_USER_IDS.has(Number(userId));
+}
+
 function isAuthorized(userId) {
-  if (config.AUTHORIZED_USER_IDS.size === 0) {
-    return false;
+  return isAdmin(userId) || users.has(userId);
+}
+
+// Short enough to fit Telegram's 64-byte callback data and to type in /cancel.
+function createRequestId() {
+  return randomBytes(6).toString("base64url");
+}
+
+function isGroupChat(chat) {
+  return chat?.type === "group" || chat?.type === "supergroup";
+}
+
+// In groups the bot only handles messages that mention it or reply to it.
+function isAddressedToBot(ctx) {
+  const message = ctx.message;
+  if (message?.reply_to_message?.from?.id === ctx.botInfo?.id) {
+    return true;
+  }
+
+  const username = ctx.botInfo?.username?.toLowerCase();
+  return (message?.entities || []).some((entity) => {
+    if (entity.type === "text_mention") {
+      return entity.user?.id === ctx.botInfo?.id;
+    }
+    if (entity.type !== "mention" || !username) {
+      return false;
+    }
+    const mention = message.text.slice(entity.offset + 1, entity.offset + entity.length);
+    return mention.toLowerCase() === username;
+  });
+}
+
+// Group requests remember the user's link message so every prompt and result
+// is threaded under it; private chats do not need the extra reply.
+function getReplyTarget(ctx) {
+  return isGroupChat(ctx.chat) ? ctx.message?.message_id || null : null;
+}
+
+function replyOptions(replyToMessageId, extra = {}) {
+  if (!replyToMessageId) {
+    return extra;
   }
-  return config.AUTHORIZED_USER_IDS.has(Number(userId));
+  return {
+    ...extra,
+    reply_parameters: { message_id: replyToMessageId, allow_sending_without_reply: true },
+  };
+}
+
+function getCommandArgument(ctx) {
+  return ctx.message?.text?.split(/\s+/)[1]?.trim() || "";
 }
 
 function sanitizeUrl(text) {
@@ -41,13 +151,100 @@ function sanitizeUrl(text) {
   return match ? match[1] : null;
 }
 
-function createStatusUpdater(chatId, messageId) {
-  return async (text) => {
-    try {
-      await bot.telegram.editMessageText(chatId, messageId, undefined, text);
-    } catch (error) {
-      logger.debug({ chatId, messageId, text, error: error.message }, "Failed to update status message");
+function buildProgressText(progress) {
+  const parts = [];
+
+  if (progress.percent !== null && progress.percent !== undefined) {
+    const filled = Math.round((progress.percent / 100) * PROGRESS_BAR_WIDTH);
+    const bar = "█".repeat(filled) + "░".repeat(PROGRESS_BAR_WIDTH - filled);
+    parts.push(`${bar} ${progress.percent.toFixed(1)}%`);
+  }
+
+  const speed = formatBytes(progress.speedBytesPerSecond);
+  if (speed) {
+    parts.push(`${speed}/s`);
+  }
+
+  const eta = formatDuration(progress.etaSeconds);
+  if (eta) {
+    parts.push(`ETA ${eta}`);
+  }
+
+  return parts.join(" · ");
+}
+
+function formatWait(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return null;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes <= 1) {
+    return "<1 min";
+  }
+  return minutes >= 60 ? `~${Math.floor(minutes / 60)} h ${minutes % 60} min` : `~${minutes} min`;
+}
+
+function describeQueuePosition(position, waitSeconds) {
+  const wait = formatWait(waitSeconds);
+  return `Queued (#${position}${wait ? `, ${wait} wait` : ""}). Waiting for your turn...`;
+}
+
+// Edits are serialized so they land in order. Throttled edits (progress ticks,
+// queue positions) are limited to STATUS_UPDATE_INTERVAL_MS to stay clear of
+// Telegram's flood limits; the latest one is sent when the interval ends unless
+// a plain stage change, which is always delivered, replaces it first. Nothing
+// is sent once `signal` aborts, so a canceled request keeps its final text.
+function createMessageEditor(chatId, messageId, { signal = null } = {}) {
+  let lastText = null;
+  let lastThrottledAt = 0;
+  let trailingText = null;
+  let trailingTimer = null;
+  let pending = Promise.resolve();
+
+  const send = (text) => {
+    if (signal?.aborted || text === lastText) {
+      return pending;
+    }
+    lastText = text;
+    pending = pending.then(async () => {
+      try {
+        await bot.telegram.editMessageText(chatId, messageId, undefined, text);
+      } catch (error) {
+        logger.debug({ chatId, messageId, text, error: error.message }, "Failed to update status message");
+      }
+    });
+    return pending;
+  };
+
+  return (text, { throttle = false } = {}) => {
+    if (!throttle) {
+      clearTimeout(trailingTimer);
+      trailingTimer = null;
+      return send(text);
     }
+
+    const wait = lastThrottledAt + config.STATUS_UPDATE_INTERVAL_MS - Date.now();
+    if (wait > 0) {
+      trailingText = text;
+      trailingTimer ??= setTimeout(() => {
+        trailingTimer = null;
+        lastThrottledAt = Date.now();
+        send(trailingText);
+      }, wait);
+      return pending;
+    }
+
+    lastThrottledAt = Date.now();
+    return send(text);
+  };
+}
+
+function createStatusUpdater(chatId, messageId, options) {
+  const editMessage = createMessageEditor(chatId, messageId, options);
+  return (text, progress, { throttle = Boolean(progress) } = {}) => {
+    const progressText = progress ? buildProgressText(progress) : "";
+    const rendered = progressText ? `${text}\n${progressText}` : text;
+    return editMessage(rendered, { throttle });
   };
 }
 
@@ -59,35 +256,91 @@ function logUnauthorized(ctx) {
   logger.warn({ userId: ctx.from?.id, chatId: ctx.chat?.id }, "Unauthorized access attempt");
 }
 
-function buildFormatKeyboard(formats, type) {
-  const buttons = formats.map((format, index) =>
-    Markup.button.callback(format.displayLabel, `fmt:${type}:${index}`)
-  );
+function chunkButtons(buttons, size = 2) {
   const rows = [];
-  for (let i = 0; i < buttons.length; i += 2) {
-    rows.push(buttons.slice(i, i + 2));
+  for (let i = 0; i < buttons.length; i += size) {
+    rows.push(buttons.slice(i, i + size));
+  }
+  return rows;
+}
+
+// Formats with a `group` (the audio codec) start a new row per group, so e.g.
+// all MP3 presets sit together above the M4A ones.
+function buildFormatRows(formats, createCallbackData) {
+  const groups = new Map();
+  formats.forEach((format, index) => {
+    const group = format.group || "";
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push(Markup.button.callback(format.displayLabel, createCallbackData(index)));
+  });
+  return [...groups.values()].flatMap((buttons) => chunkButtons(buttons));
+}
+
+// Every callback carries the request ID as its last segment so several
+// requests can be in flight in one chat at the same time.
+function buildCancelButton(requestId) {
+  return Markup.button.callback("Cancel", `cancel:${requestId}`);
+}
+
+// `splitIndex` adds a button to download that format anyway and upload it in parts.
+function buildFormatKeyboard(formats, type, requestId, { splitIndex = null } = {}) {
+  const rows = buildFormatRows(formats, (index) => `fmt:${type}:${index}:${requestId}`);
+  if (formats[splitIndex]) {
+    rows.unshift([
+      Markup.button.callback(`✂️ ${formats[splitIndex].displayLabel} in parts`, `split:${type}:${splitIndex}:${requestId}`),
+    ]);
   }
   if (type === "audio" || type === "video") {
     rows.push([
-      Markup.button.callback("Back", `back:${type}-language`),
-      Markup.button.callback("Cancel", "cancel"),
+      Markup.button.callback("Back", `back:${type}-language:${requestId}`),
+      buildCancelButton(requestId),
     ]);
   } else {
-    rows.push([Markup.button.callback("Cancel", "cancel")]);
+    rows.push([buildCancelButton(requestId)]);
   }
   return Markup.inlineKeyboard(rows);
 }
 
-function buildLanguageKeyboard(languages, type) {
+function buildLanguageKeyboard(languages, type, requestId) {
   const buttons = languages.map((language, index) => {
     const suffix = language.count > 1 ? ` (${language.count})` : "";
-    return Markup.button.callback(`${language.label}${suffix}`, `lang:${type}:${index}`);
+    return Markup.button.callback(`${language.label}${suffix}`, `lang:${type}:${index}:${requestId}`);
   });
-  const rows = [];
-  for (let i = 0; i < buttons.length; i += 2) {
-    rows.push(buttons.slice(i, i + 2));
+  const rows = chunkButtons(buttons);
+  rows.push([
+    Markup.button.callback("🔄 Refresh formats", `refresh:${type}:${requestId}`),
+    buildCancelButton(requestId),
+  ]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function buildTypeKeyboard(requestId, prefix = "type") {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback("Audio", `${prefix}:audio:${requestId}`),
+      Markup.button.callback("Video", `${prefix}:video:${requestId}`),
+    ],
+    [buildCancelButton(requestId)],
+  ]);
+}
+
+function buildPlaylistKeyboard({ allowSingle, requestId }) {
+  const rows = [[
+    Markup.button.callback("All entries", `pl:all:${requestId}`),
+    Markup.button.callback("Choose range", `pl:range:${requestId}`),
+  ]];
+  if (allowSingle) {
+    rows.push([Markup.button.callback("Only this video", `pl:single:${requestId}`)]);
   }
-  rows.push([Markup.button.callback("Cancel", "cancel")]);
+  rows.push([buildCancelButton(requestId)]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function buildPlaylistFormatKeyboard(formats, type, requestId) {
+  const rows = buildFormatRows(formats, (index) => `plfmt:${type}:${index}:${requestId}`);
+  rows.push([buildCancelButton(requestId)]);
   return Markup.inlineKeyboard(rows);
 }
 
@@ -104,47 +357,226 @@ function formatDuration(seconds) {
   return `${minutes}:${String(secs).padStart(2, "0")}`;
 }
 
+// yt-dlp reports upload dates as YYYYMMDD.
+function formatUploadDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value || "");
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function truncateText(text, maxLength) {
+  if (!text || text.length <= maxLength) {
+    return text;
+  }
+  return `${text.slice(0, maxLength - 1).trimEnd()}…`;
+}
+
 function buildMediaSummary(session) {
   const title = session.title ? `Title: ${session.title}` : null;
   const duration = formatDuration(session.durationSeconds);
-  return [title, duration ? `Duration: ${duration}` : null].filter(Boolean).join("\n");
+  const uploader = session.uploader ? `Uploader: ${session.uploader}` : null;
+  return [title, uploader, duration ? `Duration: ${duration}` : null].filter(Boolean).join("\n");
 }
 
-async function deleteSessionMessages(ctx, session) {
-  const chatId = ctx.chat.id;
-  const messageIds = [
+function buildPlaylistSummary(playlist, entries = playlist.entries) {
+  const durationSeconds = entries.reduce((sum, entry) => sum + (entry.durationSeconds || 0), 0);
+  const duration = formatDuration(durationSeconds);
+  const countText = playlist.totalCount > playlist.entries.length
+    ? `Entries: ${entries.length} (first ${playlist.entries.length} of ${playlist.totalCount})`
+    : `Entries: ${entries.length}`;
+  return [
+    `Playlist: ${playlist.title}`,
+    countText,
+    duration ? `Total duration: ${duration}` : null,
+  ].filter(Boolean).join("\n");
+}
+
+// Accepts 1-based entry numbers and ranges such as "1-5" or "2,4,7-9".
+function parseEntrySelection(text, entryCount) {
+  const selected = new Set();
+  const parts = text.split(",").map((part) => part.trim()).filter(Boolean);
+  if (!parts.length) {
+    return null;
+  }
+
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      return null;
+    }
+    const start = Number.parseInt(match[1], 10);
+    const end = match[2] ? Number.parseInt(match[2], 10) : start;
+    if (start < 1 || end < start || end > entryCount) {
+      return null;
+    }
+    for (let index = start; index <= end; index += 1) {
+      selected.add(index - 1);
+    }
+  }
+
+  return [...selected].sort((a, b) => a - b);
+}
+
+function renderPlaylistStatus(batch) {
+  const finished = batch.delivered + batch.failed + batch.canceled;
+  const lines = [
+    batch.resumed ? "Resumed after restart." : null,
+    `Playlist: ${batch.title}`,
+    `Delivered ${batch.delivered}/${batch.total}${batch.failed ? ` · Failed ${batch.failed}` : ""}`,
+  ];
+
+  for (const slot of batch.active.values()) {
+    const progressText = slot.progress ? buildProgressText(slot.progress) : "";
+    lines.push(`▶ ${slot.number}. ${slot.title}`);
+    lines.push(`   ${slot.status}${progressText ? ` ${progressText}` : ""}`);
+  }
+
+  const waiting = batch.total - finished - batch.active.size;
+  if (waiting > 0) {
+    const next = [...batch.queued.values()].sort((a, b) => a.position - b.position)[0];
+    const wait = next ? formatWait(next.waitSeconds) : null;
+    const nextText = next ? ` (next at queue #${next.position}${wait ? `, ${wait}` : ""})` : "";
+    lines.push(`Waiting: ${waiting}${nextText}`);
+  }
+
+  if (finished === batch.total) {
+    lines.push(batch.failed ? "Finished with errors." : "Done ✅");
+    for (const failure of batch.failures.slice(0, 10)) {
+      lines.push(`✖ ${failure.number}. ${failure.title}: ${failure.reason}`);
+    }
+  }
+
+  return lines.filter(Boolean).join("\n");
+}
+
+function getPromptMessageIds(session) {
+  return [
     session?.selectionMessageId,
     session?.languageMessageId,
     session?.formatMessageId,
   ].filter(Boolean);
+}
+
+async function deleteSessionMessages(chatId, session) {
+  const messageIds = getPromptMessageIds(session);
 
   await Promise.all(messageIds.map((messageId) =>
-    ctx.telegram.deleteMessage(chatId, messageId).catch(() => {})
+    bot.telegram.deleteMessage(chatId, messageId).catch(() => {})
   ));
 }
 
-async function cancelSession(ctx, { userId, notify = true } = {}) {
-  const chatId = ctx.chat.id;
-  const session = sessions.get(chatId);
+// Only requests still waiting on a prompt get a notice; anything else already
+// told the user how it ended.
+async function handleExpiredSession(requestId, session) {
+  const { chatId } = session;
+  logger.info({ chatId, requestId, stage: session.stage }, "Session expired");
+  releaseOversizedDownload(requestId);
+  if (!getPromptMessageIds(session).length) {
+    return;
+  }
+  await deleteSessionMessages(chatId, session);
+  await bot.telegram.sendMessage(
+    chatId,
+    `Your request timed out after ${config.SESSION_TTL_MINUTES} minutes of inactivity. Send the link again to start over.`,
+    replyOptions(session.replyToMessageId)
+  );
+}
 
-  if (!session) {
-    if (notify) {
-      await ctx.reply("No active request to cancel.");
+function describeRequest(session, { withOwner = false } = {}) {
+  const title = session.title ? ` – ${session.title}` : "";
+  const owner = withOwner ? ` (user ${session.userId}, chat ${session.chatId})` : "";
+  return `${session.requestId}: ${session.stage || "waiting"}${title}${owner}`;
+}
+
+// Distinct requests rather than jobs, so a playlist batch counts once.
+function countActiveRequests(userId) {
+  const requestIds = jobStore.list()
+    .filter((job) => job.userId === userId)
+    .map((job) => job.requestId || job.id);
+  return new Set(requestIds).size;
+}
+
+function formatResetTime(timestamp) {
+  const minutes = Math.max(1, Math.ceil((timestamp - Date.now()) / 60000));
+  const wait = minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+  return `${new Date(timestamp).toISOString().slice(11, 16)} UTC (in ${wait})`;
+}
+
+// Admins are exempt. Returns a user-facing rejection, or null when the jobs fit.
+function checkQuota(userId, jobs = 1) {
+  if (isAdmin(userId)) {
+    return null;
+  }
+
+  const hit = quotas.check(userId, { jobs, activeRequests: countActiveRequests(userId) });
+  if (!hit) {
+    return null;
+  }
+  logger.info({ userId, limit: hit.limit, used: hit.used, max: hit.max, jobs }, "Quota limit reached");
+
+  const batch = jobs > 1 ? ` This request needs ${jobs} downloads.` : "";
+  if (hit.limit === "active") {
+    return `You already have ${hit.used} request(s) queued or running (limit ${hit.max}). Wait for one to finish, then try again.`;
+  }
+  if (hit.limit === "hourly") {
+    if (jobs > hit.max) {
+      return `You can queue at most ${hit.max} downloads per hour.${batch} Please pick a smaller range.`;
     }
-    return false;
+    return `You've reached the limit of ${hit.max} downloads per hour.${batch} More become available at ${formatResetTime(hit.resetsAt)}.`;
   }
+  return `You've used your daily allowance of ${formatBytes(hit.max)}. It frees up at ${formatResetTime(hit.resetsAt)}.`;
+}
 
-  if (userId && session.userId !== userId) {
-    return false;
+function describeQuota(userId) {
+  const { activeRequests, jobsThisHour, bytesToday, limits } = quotas.remaining(userId, {
+    activeRequests: countActiveRequests(userId),
+  });
+  const parts = [];
+  if (activeRequests !== null) {
+    parts.push(`${activeRequests}/${limits.maxActiveJobs} request slots free`);
+  }
+  if (jobsThisHour !== null) {
+    parts.push(`${jobsThisHour}/${limits.maxJobsPerHour} downloads left this hour`);
+  }
+  if (bytesToday !== null) {
+    parts.push(`${formatBytes(bytesToday) || "0B"} of ${formatBytes(limits.maxBytesPerDay)} left today`);
+  }
+  return parts.length ? `Your quota: ${parts.join(", ")}` : null;
+}
+
+function listUserRequests(chatId, userId) {
+  return sessions.list()
+    .filter((session) => session.chatId === chatId && session.userId === userId)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+// Resolves the session named in callback data, ignoring requests that belong to
+// another chat or user.
+function getRequestSession(ctx, requestId) {
+  const session = sessions.get(requestId);
+  if (!session || session.chatId !== ctx.chat?.id || session.userId !== ctx.from?.id) {
+    return null;
+  }
+  return session;
+}
+
+// Admins may look up any request by ID; everyone else only sees their own.
+function findRequest(ctx, requestId) {
+  if (isAdmin(ctx.from?.id)) {
+    return sessions.get(requestId) || null;
   }
+  return getRequestSession(ctx, requestId);
+}
 
-  await deleteSessionMessages(ctx, session);
+async function cancelRequest(session, { canceledBy = null } = {}) {
+  const { chatId } = session;
+  await deleteSessionMessages(chatId, session);
+  releaseOversizedDownload(session.requestId);
 
   if (session.activeJob) {
     session.activeJob.cancelQueued?.();
     session.activeJob.controller?.abort();
     if (session.activeJob.statusMessageId) {
-      await ctx.telegram.editMessageText(
+      await bot.telegram.editMessageText(
         chatId,
         session.activeJob.statusMessageId,
         undefined,
@@ -153,11 +585,16 @@ async function cancelSession(ctx, { userId, notify = true } = {}) {
     }
   }
 
-  sessions.delete(chatId);
-  if (notify) {
-    await ctx.reply("Canceled current request. Send a new link to start over.");
+  sessions.delete(session.requestId);
+  logger.info({ chatId, requestId: session.requestId, canceledBy }, "Request canceled");
+
+  if (canceledBy && canceledBy !== session.userId) {
+    await bot.telegram.sendMessage(
+      chatId,
+      `Request ${session.requestId} was canceled by an admin.`,
+      replyOptions(session.replyToMessageId)
+    ).catch(() => {});
   }
-  return true;
 }
 
 function getCookieStatus() {
@@ -187,108 +624,1445 @@ function isTelegramEntityTooLarge(error) {
   return typeof description === "string" && description.toLowerCase().includes("request entity too large");
 }
 
-async function handleUnauthorized(ctx) {
-  logUnauthorized(ctx);
-}
+// Resolves with the sent message, whose file_id is cached for later requests.
+async function sendDownload(telegram, chatId, download, type, { replyToMessageId = null } = {}) {
+  if (download.sendAs === "voice") {
+    return telegram.sendVoice(
+      chatId,
+      { source: download.stream(), filename: download.fileName },
+      replyOptions(replyToMessageId, {
+        caption: download.caption || download.title,
+        ...(download.durationSeconds ? { duration: Math.round(download.durationSeconds) } : {}),
+      })
+    );
+  }
 
-bot.start(async (ctx) => {
-  if (!isAuthorized(ctx.from?.id)) {
-    await handleUnauthorized(ctx);
-    return;
+  if (download.sendAs === "video_note") {
+    // Video notes have no caption; `length` is the diameter of the circle.
+    const { width, height, ...extra } = describeVideoUpload(download);
+    return telegram.sendVideoNote(
+      chatId,
+      { source: download.stream(), filename: download.fileName },
+      replyOptions(replyToMessageId, { ...extra, ...(width ? { length: Math.min(width, height) } : {}) })
+    );
   }
 
-  logRequest(ctx, { command: 'start' });
+  if (type === 'audio') {
+    const lowerFile = download.fileName.toLowerCase();
+    const isMp3 = lowerFile.endsWith('.mp3');
+    const isM4a = lowerFile.endsWith('.m4a');
 
-  await ctx.reply(
-    "Send me a video or audio link (YouTube, Instagram, Facebook, etc.) and I'll fetch it for you."
+    if (isMp3 || isM4a) {
+      return telegram.sendAudio(
+        chatId,
+        { source: download.stream(), filename: download.fileName },
+        replyOptions(replyToMessageId, {
+          title: download.title,
+          ...(download.caption ? { caption: download.caption } : {}),
+        })
+      );
+    }
+    return telegram.sendDocument(
+      chatId,
+      { source: download.stream(), filename: download.fileName },
+      replyOptions(replyToMessageId, {
+        caption: download.caption || download.title,
+      })
+    );
+  }
+
+  return telegram.sendVideo(
+    chatId,
+    { source: download.stream(), filename: download.fileName },
+    replyOptions(replyToMessageId, {
+      caption: download.caption || download.title,
+      supports_streaming: true,
+      ...describeVideoUpload(download),
+    })
   );
-});
+}
 
-bot.help(async (ctx) => {
-  if (!isAuthorized(ctx.from?.id)) {
-    await handleUnauthorized(ctx);
-    return;
+// Lets Telegram show an inline player with the right aspect ratio and length
+// instead of a generic file.
+function describeVideoUpload(download) {
+  const extra = {};
+  if (download.width && download.height) {
+    extra.width = download.width;
+    extra.height = download.height;
+  }
+  if (download.durationSeconds) {
+    extra.duration = Math.round(download.durationSeconds);
+  }
+  if (download.thumbnailPath) {
+    extra.thumbnail = { source: createReadStream(download.thumbnailPath) };
   }
+  return extra;
+}
 
-  logRequest(ctx, { command: 'help' });
+function getSentFile(message) {
+  for (const kind of ["audio", "video", "voice", "video_note", "document"]) {
+    if (message?.[kind]?.file_id) {
+      return { kind, fileId: message[kind].file_id };
+    }
+  }
+  return null;
+}
 
-  const helpText = [
-    "Usage:",
-    "1. Send a media link.",
-    "2. Pick audio or video.",
-    "3. Choose the language.",
-    "4. Choose a provided format.",
-    "",
-    "Commands:",
-    "/status - Show queue and current request.",
-    "/ytdlp - Show downloader diagnostics.",
-    "/cancel - Stop the current request.",
-    "I'll download, convert to MP3/MP4, and send it back.",
-    `Files larger than ${config.MAX_FILE_SIZE_MB} MB are skipped.`,
-  ].join("\n");
-
-  await ctx.reply(helpText);
-});
+function sendCachedFile(telegram, chatId, cached, { replyToMessageId = null } = {}) {
+  if (cached.kind === "audio") {
+    return telegram.sendAudio(chatId, cached.fileId, replyOptions(replyToMessageId, { title: cached.title }));
+  }
+  if (cached.kind === "video") {
+    return telegram.sendVideo(
+      chatId,
+      cached.fileId,
+      replyOptions(replyToMessageId, { caption: cached.title, supports_streaming: true })
+    );
+  }
+  if (cached.kind === "voice") {
+    return telegram.sendVoice(chatId, cached.fileId, replyOptions(replyToMessageId, { caption: cached.title }));
+  }
+  if (cached.kind === "video_note") {
+    return telegram.sendVideoNote(chatId, cached.fileId, replyOptions(replyToMessageId));
+  }
+  return telegram.sendDocument(chatId, cached.fileId, replyOptions(replyToMessageId, { caption: cached.title }));
+}
 
-bot.command("cancel", async (ctx) => {
-  if (!isAuthorized(ctx.from?.id)) {
-    await handleUnauthorized(ctx);
+function cacheSentFile(descriptor, download, message) {
+  const sent = getSentFile(message);
+  if (!sent) {
     return;
   }
+  fileCache.set(buildMediaKey(descriptor), {
+    ...sent,
+    title: download.title,
+    size: download.size,
+    mediaId: descriptor.mediaId || null,
+    url: normalizeMediaUrl(descriptor.url),
+  });
+}
 
-  logRequest(ctx, { command: 'cancel' });
-  await cancelSession(ctx, { userId: ctx.from.id });
-});
+// Resends a file the bot uploaded before. A file_id Telegram no longer accepts
+// is dropped so the caller falls back to a fresh download.
+async function deliverFromCache(descriptor) {
+  const key = buildMediaKey(descriptor);
+  const cached = fileCache.get(key);
+  if (!cached) {
+    return false;
+  }
 
-bot.command("status", async (ctx) => {
-  if (!isAuthorized(ctx.from?.id)) {
-    await handleUnauthorized(ctx);
-    return;
+  try {
+    await sendCachedFile(bot.telegram, descriptor.chatId, cached, { replyToMessageId: descriptor.replyToMessageId });
+  } catch (error) {
+    logger.warn({ key, error: error.message }, 'Cached file could not be resent, downloading again');
+    fileCache.delete(key);
+    return false;
   }
 
-  const session = sessions.get(ctx.chat.id);
-  const stats = queue.stats;
-  const lines = [
-    `Active downloads: ${stats.active}/${stats.concurrency}`,
-    `Queued downloads: ${stats.queued}`,
-  ];
+  logger.info({ chatId: descriptor.chatId, requestId: descriptor.requestId, key }, 'Delivered from file cache');
+  return true;
+}
 
-  if (session) {
-    lines.push(`Current request: ${session.stage || "waiting"}`);
-    const summary = buildMediaSummary(session);
-    if (summary) {
-      lines.push(summary);
-    }
-  } else {
-    lines.push("Current request: none");
+async function promptMediaType(ctx, url, replyToMessageId = getReplyTarget(ctx)) {
+  const requestId = createRequestId();
+  sessions.create(requestId, {
+    requestId,
+    stage: "choosing type",
+    url,
+    chatId: ctx.chat.id,
+    userId: ctx.from.id,
+    replyToMessageId,
+  });
+
+  const selectionMessage = await ctx.reply(
+    "What would you like to download?",
+    replyOptions(replyToMessageId, buildTypeKeyboard(requestId))
+  );
+
+  sessions.update(requestId, {
+    selectionMessageId: selectionMessage.message_id,
+    formatMessageId: null,
+  });
+
+  prefetchMediaInfo(requestId, url);
+}
+
+// Starts listing formats while the user picks a type, then swaps the type
+// prompt for a preview card. promptLanguage reuses the same lookup through the
+// metadata cache, so nothing is fetched twice.
+function prefetchMediaInfo(requestId, url) {
+  listFormats(url)
+    .then((info) => showPreviewCard(requestId, info))
+    .catch((error) => {
+      // The language step lists formats again and reports the failure there.
+      logger.debug({ requestId, error: error.message }, "Failed to prefetch media info");
+    });
+}
+
+function isChoosingType(requestId, selectionMessageId) {
+  const session = sessions.get(requestId);
+  return Boolean(session?.selectionMessageId) && session.stage === "choosing type"
+    && (!selectionMessageId || session.selectionMessageId === selectionMessageId);
+}
+
+// Thumbnail with the details needed to tell whether this is the right link.
+// Falls back to editing the text prompt when the site has no thumbnail or
+// Telegram cannot fetch it.
+async function showPreviewCard(requestId, info) {
+  if (!isChoosingType(requestId)) {
+    return;
+  }
+  const details = buildPreviewCaption(info);
+  if (!details && !info.thumbnailUrl) {
+    return;
+  }
+  const { chatId, replyToMessageId, selectionMessageId } = sessions.get(requestId);
+  const caption = [details, "What would you like to download?"].filter(Boolean).join("\n\n");
+
+  if (info.thumbnailUrl) {
+    try {
+      const card = await bot.telegram.sendPhoto(
+        chatId,
+        info.thumbnailUrl,
+        replyOptions(replyToMessageId, { caption, ...buildTypeKeyboard(requestId) })
+      );
+      // The user may have picked a type from the text prompt in the meantime.
+      if (!isChoosingType(requestId, selectionMessageId)) {
+        await bot.telegram.deleteMessage(chatId, card.message_id).catch(() => {});
+        return;
+      }
+      sessions.update(requestId, { selectionMessageId: card.message_id });
+      await bot.telegram.deleteMessage(chatId, selectionMessageId).catch(() => {});
+      return;
+    } catch (error) {
+      logger.debug({ requestId, error: error.message }, "Failed to send preview thumbnail");
+    }
+  }
+
+  if (details && isChoosingType(requestId, selectionMessageId)) {
+    await bot.telegram.editMessageText(chatId, selectionMessageId, undefined, caption, buildTypeKeyboard(requestId));
+  }
+}
+
+function buildPreviewCaption(info) {
+  const summary = buildMediaSummary({ ...info, title: truncateText(info.title, MAX_PREVIEW_TITLE_LENGTH) });
+  const uploaded = formatUploadDate(info.uploadDate);
+  const views = Number.isFinite(info.viewCount) ? info.viewCount.toLocaleString("en-US") : null;
+  return [
+    summary,
+    uploaded ? `Uploaded: ${uploaded}` : null,
+    views ? `Views: ${views}` : null,
+  ].filter(Boolean).join("\n");
+}
+
+// Returns false when the URL turns out not to be a playlist so the caller can
+// fall back to the single media flow.
+async function offerPlaylist(ctx, url) {
+  const replyToMessageId = getReplyTarget(ctx);
+  const loadingMessage = await ctx.reply("Checking playlist...", replyOptions(replyToMessageId));
+
+  try {
+    const playlist = await getPlaylistInfo(url);
+    if (!playlist) {
+      return false;
+    }
+
+    if (!playlist.entries.length) {
+      await ctx.reply("No downloadable entries found in that playlist.", replyOptions(replyToMessageId));
+      return true;
+    }
+
+    const requestId = createRequestId();
+    sessions.create(requestId, {
+      requestId,
+      stage: "choosing playlist entries",
+      url,
+      chatId: ctx.chat.id,
+      userId: ctx.from.id,
+      replyToMessageId,
+      playlist,
+      title: playlist.title,
+      durationSeconds: playlist.totalDurationSeconds,
+    });
+
+    const allowSingle = (() => {
+      try {
+        return new URL(url).searchParams.has("v");
+      } catch {
+        return false;
+      }
+    })();
+
+    const selectionMessage = await ctx.reply(
+      [buildPlaylistSummary(playlist), "Download all entries or choose a range?"].join("\n\n"),
+      replyOptions(replyToMessageId, buildPlaylistKeyboard({ allowSingle, requestId }))
+    );
+    sessions.update(requestId, { selectionMessageId: selectionMessage.message_id });
+    return true;
+  } catch (error) {
+    logger.warn(
+      { url, error: error.message, category: classifyError(error).category },
+      "Failed to inspect playlist, falling back to single media"
+    );
+    return false;
+  } finally {
+    await ctx.deleteMessage(loadingMessage.message_id).catch((error) => {
+      logger.debug({ error: error.message }, "Failed to delete loading message");
+    });
+  }
+}
+
+async function handlePlaylistRange(ctx, session) {
+  const chatId = ctx.chat.id;
+  const entries = session.playlist.entries;
+  const selection = parseEntrySelection(ctx.message.text, entries.length);
+  if (!selection?.length) {
+    await ctx.reply(`Send entry numbers between 1 and ${entries.length}, for example "1-5" or "2,4,7-9".`, replyOptions(session.replyToMessageId));
+    return;
+  }
+
+  if (session.selectionMessageId) {
+    await ctx.telegram.deleteMessage(chatId, session.selectionMessageId).catch(() => {});
+  }
+
+  await promptPlaylistType(ctx, {
+    ...session,
+    selectedEntries: selection.map((index) => ({ ...entries[index], number: index + 1 })),
+  });
+}
+
+async function promptPlaylistType(ctx, session) {
+  const selectionMessage = await ctx.reply(
+    [buildPlaylistSummary(session.playlist, session.selectedEntries), "Download the batch as audio or video?"].join("\n\n"),
+    replyOptions(session.replyToMessageId, buildTypeKeyboard(session.requestId, "pltype"))
+  );
+
+  sessions.update(session.requestId, {
+    stage: "choosing playlist type",
+    selectedEntries: session.selectedEntries,
+    durationSeconds: session.selectedEntries.reduce((sum, entry) => sum + (entry.durationSeconds || 0), 0) || null,
+    selectionMessageId: selectionMessage.message_id,
+  });
+}
+
+async function runPlaylistEntry(descriptor, { batch, render, signal, reportProgress }) {
+  const { chatId, url, type, formatId, preset, title } = descriptor;
+  const number = descriptor.playlist.number;
+  if (await deliverFromCache(descriptor)) {
+    return { success: true };
+  }
+
+  const slot = {
+    number,
+    title,
+    status: "Preparing download...",
+    progress: null,
+  };
+  batch.active.set(number, slot);
+  render();
+
+  let download;
+  try {
+    download = await downloadMedia({
+      url,
+      formatId,
+      type,
+      expectedTitle: title,
+      onStatus: (text, progress) => {
+        slot.status = text;
+        slot.progress = progress || null;
+        if (progress) {
+          reportProgress(progress);
+        }
+        render({ throttle: Boolean(progress) });
+      },
+      targetFileName: title || preset.targetFileName,
+      outputAudioBitrateKbps: preset.outputAudioBitrateKbps,
+      outputAudioChannels: preset.outputAudioChannels,
+      outputAudioCodec: preset.outputAudioCodec,
+      thumbnailUrl: descriptor.thumbnailUrl,
+      durationSeconds: descriptor.durationSeconds,
+      signal,
+    });
+
+    if (download.size > TELEGRAM_FILE_LIMIT_BYTES) {
+      logger.warn(
+        { size: download.size, limit: TELEGRAM_FILE_LIMIT_BYTES, chatId, url },
+        'Playlist entry exceeds configured size limit'
+      );
+      return { success: false, reason: `larger than ${config.MAX_FILE_SIZE_MB} MB` };
+    }
+
+    slot.status = "Uploading...";
+    slot.progress = null;
+    render();
+
+    try {
+      const message = await sendDownload(bot.telegram, chatId, download, type, { replyToMessageId: descriptor.replyToMessageId });
+      cacheSentFile(descriptor, download, message);
+    } catch (error) {
+      if (isTelegramEntityTooLarge(error)) {
+        return { success: false, reason: "rejected by Telegram as too large" };
+      }
+      throw error;
+    }
+    quotas.recordBytes(descriptor.userId, download.size);
+    return { success: true };
+  } finally {
+    batch.active.delete(number);
+    if (download) {
+      await download.cleanup().catch((cleanupError) => {
+        logger.warn({ error: cleanupError.message }, 'Failed to delete temporary download directory');
+      });
+    }
+  }
+}
+
+// `request` holds what every entry shares (chat, preset, status message);
+// `entries` are the selected playlist items. Resumed batches pass the persisted
+// job IDs back in as `entry.jobId`.
+function startPlaylistBatch(request, entries, { resumed = false } = {}) {
+  const {
+    requestId,
+    chatId,
+    userId,
+    title,
+    type,
+    formatId,
+    preset,
+    statusMessageId,
+    replyToMessageId = null,
+    resumeCount = 0,
+  } = request;
+  const controller = new AbortController();
+  const editStatus = createMessageEditor(chatId, statusMessageId, { signal: controller.signal });
+  const batch = {
+    title,
+    total: entries.length,
+    delivered: 0,
+    failed: 0,
+    canceled: 0,
+    failures: [],
+    active: new Map(),
+    // Entry number -> { position, waitSeconds } while the entry waits in the queue.
+    queued: new Map(),
+    resumed,
+  };
+  const render = (options) => {
+    if (!controller.signal.aborted) {
+      editStatus(renderPlaylistStatus(batch), options);
+    }
+  };
+
+  if (resumed && !sessions.get(requestId)) {
+    sessions.create(requestId, { requestId, chatId, userId, type, title, replyToMessageId });
+  }
+
+  const jobs = entries.map((entry) => {
+    const descriptor = {
+      id: entry.jobId || randomUUID(),
+      requestId,
+      chatId,
+      userId,
+      url: entry.url,
+      mediaId: entry.mediaId || null,
+      type,
+      formatId,
+      preset,
+      title: entry.title,
+      thumbnailUrl: entry.thumbnailUrl || null,
+      durationSeconds: entry.durationSeconds || null,
+      statusMessageId,
+      replyToMessageId,
+      playlist: { title, number: entry.number },
+      resumeCount: entry.resumeCount ?? resumeCount,
+    };
+
+    return queue.enqueue(async ({ reportProgress }) => {
+      batch.queued.delete(entry.number);
+      if (controller.signal.aborted) {
+        return { success: false, reason: "canceled" };
+      }
+      return runPlaylistEntry(descriptor, { batch, render, signal: createJobSignal(controller), reportProgress });
+    }, { descriptor, priority: PLAYLIST_JOB_PRIORITY, bumpedAt: entry.bumpedAt || null });
+  });
+
+  if (!resumed) {
+    quotas.recordJobs(userId, jobs.length);
+  }
+
+  sessions.update(requestId, {
+    stage: `downloading playlist 0/${batch.total}`,
+    activeJob: {
+      requestId,
+      controller,
+      cancelQueued: () => {
+        jobs.forEach((job) => job.cancel());
+      },
+      // Bump last-to-first so entry order is kept at the front of the queue.
+      bumpQueued: () => {
+        const positions = [...jobs].reverse().map((job) => job.bump()).filter(Boolean);
+        return positions.length ? Math.min(...positions) : 0;
+      },
+      onQueuePosition: (descriptor, position, waitSeconds) => {
+        batch.queued.set(descriptor.playlist.number, { position, waitSeconds });
+        render({ throttle: true });
+      },
+      statusMessageId,
+    },
+  });
+  jobs.forEach((job, index) => {
+    if (job.queued && job.getPosition()) {
+      batch.queued.set(entries[index].number, { position: job.getPosition(), waitSeconds: job.getEstimatedWait() });
+    }
+  });
+  render();
+
+  const settled = jobs.map((job, index) => {
+    const entry = entries[index];
+    return job.promise
+      .then((result) => {
+        if (result?.success) {
+          batch.delivered += 1;
+        } else if (result?.reason === "canceled") {
+          batch.canceled += 1;
+        } else {
+          batch.failed += 1;
+          batch.failures.push({ number: entry.number, title: entry.title, reason: result?.reason || "failed" });
+        }
+      })
+      .catch((error) => {
+        if (isAbortError(error)) {
+          batch.canceled += 1;
+          return;
+        }
+        if (isTimeoutError(error)) {
+          logger.warn({ url: entry.url, requestId, stalled: Boolean(error.stalled) }, 'Playlist entry timed out');
+          batch.failed += 1;
+          batch.failures.push({ number: entry.number, title: entry.title, reason: error.stalled ? "stalled" : "timed out" });
+          return;
+        }
+        const { category, message } = classifyError(error);
+        logger.error({ error: error.message, url: entry.url, requestId, category }, 'Playlist entry failed');
+        batch.failed += 1;
+        batch.failures.push({
+          number: entry.number,
+          title: entry.title,
+          reason: [
+            message || "download failed",
+            error.attempts > 1 ? `(${error.attempts} attempts)` : null,
+          ].filter(Boolean).join(" "),
+        });
+      })
+      .finally(() => {
+        sessions.update(requestId, {
+          stage: `downloading playlist ${batch.delivered + batch.failed}/${batch.total}`,
+        });
+        render();
+      });
+  });
+
+  Promise.all(settled).then(() => {
+    logger.info(
+      { chatId, requestId, delivered: batch.delivered, failed: batch.failed, canceled: batch.canceled },
+      'Playlist batch finished'
+    );
+    sessions.delete(requestId);
+  });
+}
+
+function createJobPreset(format) {
+  return {
+    displayLabel: format.displayLabel,
+    targetFileName: format.targetFileName,
+    outputAudioBitrateKbps: format.outputAudioBitrateKbps || null,
+    outputAudioChannels: format.outputAudioChannels || null,
+    outputAudioCodec: format.outputAudioCodec || null,
+    outputAudioExtension: format.outputAudioExtension || null,
+    fitVideoBitrateKbps: format.fitVideoBitrateKbps || null,
+    fitAudioBitrateKbps: format.fitAudioBitrateKbps || null,
+    fitMaxHeight: format.fitMaxHeight || null,
+    videoNote: Boolean(format.videoNote),
+  };
+}
+
+// Identifies one rendition of one media item: the same key means the same file.
+// Used to share in-flight downloads and to look up cached uploads.
+function buildMediaKey({ url, mediaId, type, formatId, preset }) {
+  const parts = [
+    mediaId || normalizeMediaUrl(url),
+    type,
+    formatId,
+    preset.outputAudioBitrateKbps || "",
+    preset.outputAudioChannels || "",
+  ];
+  // MP3 keys predate codec choices and stay as they were so cached uploads still match.
+  if (preset.outputAudioCodec && preset.outputAudioCodec !== "mp3") {
+    parts.push(preset.outputAudioCodec);
+  }
+  if (preset.fitVideoBitrateKbps) {
+    parts.push(`fit${preset.fitVideoBitrateKbps}k${preset.fitMaxHeight || ""}`);
+  }
+  if (preset.videoNote) {
+    parts.push("note");
+  }
+  return parts.join("|");
+}
+
+// Lets a finished file outlive the job that downloaded it: each retain() needs
+// its own cleanup() call, and the files go with the last one.
+function shareCleanup(download) {
+  const removeFiles = download.cleanup;
+  let users = 1;
+  return {
+    ...download,
+    retain() {
+      users += 1;
+    },
+    async cleanup() {
+      users -= 1;
+      if (users === 0) {
+        await removeFiles();
+      }
+    },
+  };
+}
+
+// Finished files that were too large to send, by request, so choosing "in
+// parts" afterwards splits them instead of downloading them again. Anything
+// else the user does with the request lets them go.
+function keepOversizedDownload(requestId, key, download) {
+  releaseOversizedDownload(requestId);
+  download.retain();
+  const timer = setTimeout(() => releaseOversizedDownload(requestId), config.SESSION_TTL_MINUTES * 60 * 1000);
+  timer.unref();
+  oversizedDownloads.set(requestId, { key, download, timer });
+}
+
+function takeOversizedDownload(requestId, key) {
+  const kept = oversizedDownloads.get(requestId);
+  if (!kept || kept.key !== key) {
+    releaseOversizedDownload(requestId);
+    return null;
+  }
+  clearTimeout(kept.timer);
+  oversizedDownloads.delete(requestId);
+  return kept.download;
+}
+
+function releaseOversizedDownload(requestId) {
+  const kept = oversizedDownloads.get(requestId);
+  if (!kept) {
+    return;
+  }
+  clearTimeout(kept.timer);
+  oversizedDownloads.delete(requestId);
+  kept.download.cleanup().catch((error) => {
+    logger.warn({ error: error.message }, 'Failed to delete temporary download directory');
+  });
+}
+
+// The queue job only fetches and converts the file. Every attached request
+// uploads it on its own, and the job keeps its slot until they are all done so
+// the file can be removed afterwards. A `keptDownload` from an earlier attempt
+// is used as is instead of being fetched again.
+function startSharedDownload(entry, descriptor, { keptDownload = null } = {}) {
+  const { url, type, formatId, preset, title, description, thumbnailUrl, durationSeconds } = descriptor;
+
+  entry.job = queue.enqueue(async ({ reportProgress }) => {
+    if (entry.controller.signal.aborted) {
+      keptDownload?.cleanup().catch(() => {});
+      return { success: false, reason: "canceled" };
+    }
+    sharedDownloads.notify(entry, "onStart");
+
+    let download = keptDownload;
+    try {
+      download ??= shareCleanup(await downloadMedia({
+        url,
+        formatId,
+        type,
+        expectedTitle: title,
+        onStatus: (text, progress) => {
+          if (progress) {
+            reportProgress(progress);
+          }
+          sharedDownloads.notify(entry, "onStatus", text, progress);
+        },
+        targetFileName: preset.targetFileName,
+        outputAudioBitrateKbps: preset.outputAudioBitrateKbps,
+        outputAudioChannels: preset.outputAudioChannels,
+        outputAudioCodec: preset.outputAudioCodec,
+        outputAudioExtension: preset.outputAudioExtension,
+        fitVideoBitrateKbps: preset.fitVideoBitrateKbps,
+        fitAudioBitrateKbps: preset.fitAudioBitrateKbps,
+        fitMaxHeight: preset.fitMaxHeight,
+        videoNote: preset.videoNote,
+        description,
+        thumbnailUrl,
+        durationSeconds,
+        signal: createJobSignal(entry.controller),
+      }));
+    } catch (error) {
+      sharedDownloads.close(entry);
+      entry.rejectDownload(error);
+      throw error;
+    }
+
+    sharedDownloads.close(entry);
+    entry.resolveDownload(download);
+    await entry.idle;
+    await download.cleanup().catch((cleanupError) => {
+      logger.warn({ error: cleanupError.message }, 'Failed to delete temporary download directory');
+    });
+    return { success: true };
+  }, { id: entry.key, owner: descriptor.userId, bumpedAt: descriptor.bumpedAt || null });
+
+  // Holders get the outcome through entry.download.
+  entry.job.promise.catch(() => {});
+}
+
+async function deliverDownload(descriptor, download, { updateStatus, signal }) {
+  const { chatId, userId, type, formatId } = descriptor;
+  if (signal.aborted) {
+    return { success: false, reason: "canceled" };
+  }
+
+  if (download.size > TELEGRAM_FILE_LIMIT_BYTES) {
+    if (descriptor.split) {
+      return deliverParts(descriptor, download, { updateStatus, signal });
+    }
+    logger.warn(
+      { size: download.size, limit: TELEGRAM_FILE_LIMIT_BYTES, chatId, formatId },
+      'Downloaded file exceeds configured size limit'
+    );
+    await updateStatus('Download complete, but file exceeds size limit. Split it into parts or pick a smaller option.');
+    return { success: false, reason: 'file-too-large', keepSession: true, oversizedDownload: download };
+  }
+
+  await updateStatus('Uploading...');
+
+  try {
+    const message = await sendDownload(bot.telegram, chatId, download, type, { replyToMessageId: descriptor.replyToMessageId });
+    cacheSentFile(descriptor, download, message);
+  } catch (error) {
+    if (isTelegramEntityTooLarge(error)) {
+      logger.warn(
+        { error: error.message, chatId, size: download.size },
+        'Telegram rejected upload: entity too large'
+      );
+      await updateStatus('Telegram rejected the upload because it exceeds their file size limit. Please choose a smaller format.');
+      return { success: false, reason: 'telegram-file-too-large', keepSession: true };
+    }
+    throw error;
+  }
+
+  quotas.recordBytes(userId, download.size);
+  await updateStatus('Done ✅');
+  return { success: true };
+}
+
+// Parts are not cached: a later request for the same file may not want it split.
+async function deliverParts(descriptor, download, { updateStatus, signal }) {
+  const { chatId, userId, type, durationSeconds } = descriptor;
+  const { parts, cleanup } = await splitMedia(download, {
+    maxBytes: TELEGRAM_FILE_LIMIT_BYTES,
+    durationSeconds,
+    signal,
+    onStatus: updateStatus,
+  });
+
+  try {
+    for (const [index, part] of parts.entries()) {
+      if (signal.aborted) {
+        return { success: false, reason: "canceled" };
+      }
+      await updateStatus(`Uploading part ${index + 1}/${parts.length}...`);
+      try {
+        await sendDownload(bot.telegram, chatId, part, type, { replyToMessageId: descriptor.replyToMessageId });
+      } catch (error) {
+        if (isTelegramEntityTooLarge(error)) {
+          logger.warn({ error: error.message, chatId, size: part.size, part: index + 1 }, 'Telegram rejected part upload: entity too large');
+          await updateStatus(`Telegram rejected part ${index + 1}/${parts.length} as too large. Please choose a smaller format.`);
+          return { success: false, reason: 'telegram-file-too-large', keepSession: true };
+        }
+        throw error;
+      }
+    }
+  } finally {
+    await cleanup().catch((error) => {
+      logger.warn({ error: error.message }, 'Failed to delete split parts');
+    });
+  }
+
+  quotas.recordBytes(userId, download.size);
+  await updateStatus(`Done ✅ (${parts.length} parts)`);
+  return { success: true };
+}
+
+function scheduleStatusCleanup(chatId, statusMessageId) {
+  setTimeout(() => {
+    bot.telegram.deleteMessage(chatId, statusMessageId).catch((error) => {
+      logger.debug({ error: error.message }, 'Failed to delete status message');
+    });
+  }, 15000);
+}
+
+// Builds and queues a single-media job from its persisted descriptor. Used both
+// for fresh requests and for jobs resumed after a restart.
+async function enqueueSingleDownload(descriptor, { resumed = false } = {}) {
+  const {
+    requestId,
+    chatId,
+    userId,
+    url,
+    type,
+    title,
+    durationSeconds,
+    statusMessageId,
+  } = descriptor;
+  const controller = new AbortController();
+  const updateStatus = createStatusUpdater(chatId, statusMessageId, { signal: controller.signal });
+  const resumedPrefix = resumed ? 'Resumed after restart. ' : '';
+  const downloadingStage = type === "audio" ? "downloading audio" : "downloading video";
+
+  if (resumed && !sessions.get(requestId)) {
+    sessions.create(requestId, {
+      requestId,
+      chatId,
+      userId,
+      url,
+      type,
+      title,
+      durationSeconds,
+      replyToMessageId: descriptor.replyToMessageId,
+    });
+  }
+
+  if (await deliverFromCache(descriptor)) {
+    jobStore.delete(descriptor.id);
+    sessions.delete(requestId);
+    await updateStatus('Done ✅ (sent again from an earlier upload)');
+    scheduleStatusCleanup(chatId, statusMessageId);
+    return;
+  }
+
+  const key = buildMediaKey(descriptor);
+  const joined = Boolean(sharedDownloads.get(key));
+  const keptDownload = descriptor.split && !joined ? takeOversizedDownload(requestId, key) : null;
+  if (!keptDownload) {
+    releaseOversizedDownload(requestId);
+  }
+  const entry = sharedDownloads.get(key) || sharedDownloads.create(key);
+
+  // Each request is persisted on its own so it rejoins (or restarts) the
+  // download after a restart, even if the request that started it is gone.
+  jobStore.save({ ...descriptor, status: "queued" });
+  let released = false;
+  const release = () => {
+    if (!released) {
+      released = true;
+      jobStore.delete(descriptor.id);
+      sharedDownloads.detach(entry, requestId);
+    }
+  };
+
+  sharedDownloads.attach(entry, requestId, {
+    onQueuePosition: (position, waitSeconds) => {
+      sessions.update(requestId, { stage: `queued #${position}` });
+      updateStatus(resumedPrefix + describeQueuePosition(position, waitSeconds), null, { throttle: true });
+    },
+    onStart: () => {
+      jobStore.update(descriptor.id, { status: "running" });
+      sessions.update(requestId, { stage: downloadingStage });
+      updateStatus(resumedPrefix + 'Preparing download...');
+    },
+    onStatus: (text, progress) => updateStatus(text, progress),
+  });
+
+  if (!joined) {
+    startSharedDownload(entry, descriptor, { keptDownload });
+  } else {
+    logger.info({ chatId, requestId, key }, 'Joined identical in-flight download');
+  }
+
+  // Splitting a kept file is the same download, so it is not counted again.
+  if (!resumed && !keptDownload) {
+    quotas.recordJobs(userId);
+  }
+
+  const position = entry.job.getPosition();
+  sessions.update(requestId, {
+    stage: position > 0 ? `queued #${position}` : (joined ? downloadingStage : "queued"),
+    activeJob: {
+      requestId,
+      controller,
+      cancelQueued: release,
+      bumpQueued: () => {
+        const newPosition = entry.job.bump();
+        if (newPosition) {
+          jobStore.update(descriptor.id, { bumpedAt: Date.now() });
+        }
+        return newPosition;
+      },
+      statusMessageId,
+    },
+  });
+
+  if (position > 0) {
+    await updateStatus(resumedPrefix + describeQueuePosition(position, entry.job.getEstimatedWait()));
+  } else if (joined) {
+    await updateStatus(resumedPrefix + 'The same file is already being downloaded for another request; sharing it...');
+  }
+
+  entry.download
+    .then((download) => deliverDownload(descriptor, download, { updateStatus, signal: controller.signal }))
+    .then(async (result) => {
+      const currentSession = sessions.get(requestId);
+      if (!currentSession) {
+        return;
+      }
+
+      if (result?.reason === "canceled") {
+        sessions.delete(requestId);
+        return;
+      }
+
+      if (result?.success) {
+        sessions.delete(requestId);
+        scheduleStatusCleanup(chatId, statusMessageId);
+        return;
+      }
+
+      if (result?.keepSession) {
+        if (currentSession?.formats?.length) {
+          const promptText = type === 'audio' ? 'Choose another audio bitrate:' : 'Choose another video quality:';
+          const splitIndex = result.oversizedDownload
+            ? currentSession.formats.findIndex((format) =>
+              format.id === descriptor.formatId && format.displayLabel === descriptor.preset.displayLabel)
+            : -1;
+          if (splitIndex >= 0) {
+            keepOversizedDownload(requestId, key, result.oversizedDownload);
+          }
+          const retryMessage = await bot.telegram.sendMessage(
+            chatId,
+            promptText,
+            replyOptions(
+              descriptor.replyToMessageId,
+              buildFormatKeyboard(currentSession.formats, type, requestId, { splitIndex: splitIndex >= 0 ? splitIndex : null })
+            )
+          );
+          sessions.update(requestId, {
+            activeJob: null,
+            stage: type === "audio" ? "choosing audio quality" : "choosing video quality",
+            formatMessageId: retryMessage.message_id,
+          });
+        } else {
+          sessions.delete(requestId);
+        }
+        return;
+      }
+
+      sessions.delete(requestId);
+    })
+    .catch(async (error) => {
+      const currentSession = sessions.get(requestId);
+      if (!currentSession) {
+        return;
+      }
+
+      if (isAbortError(error)) {
+        logger.info({ chatId, requestId }, 'Download job canceled');
+        sessions.delete(requestId);
+        await updateStatus('Canceled.');
+        return;
+      }
+
+      if (isTimeoutError(error)) {
+        logger.warn({ chatId, requestId, stalled: Boolean(error.stalled) }, 'Download job timed out');
+        sessions.delete(requestId);
+        await updateStatus(describeTimeout(error));
+        return;
+      }
+
+      const { category } = classifyError(error);
+      logger.error({ error: error.message, stack: error.stack, attempts: error.attempts, category }, 'Download job failed');
+      sessions.delete(requestId);
+      const failed = error.attempts > 1 ? `Failed after ${error.attempts} attempts.` : 'Failed.';
+      await updateStatus(`${failed} ${describeError(error, 'Please try another format or send a new link.')}`);
+    })
+    .finally(release);
+}
+
+function isResumableJob(descriptor) {
+  return Boolean(
+    descriptor.chatId
+    && descriptor.url
+    && descriptor.type
+    && descriptor.formatId
+    && descriptor.preset
+    && descriptor.statusMessageId
+    && (descriptor.resumeCount || 0) < MAX_RESUME_ATTEMPTS
+  );
+}
+
+async function failPersistedJob(descriptor) {
+  jobStore.delete(descriptor.id);
+  logger.warn(
+    { jobId: descriptor.id, chatId: descriptor.chatId, url: descriptor.url, resumeCount: descriptor.resumeCount },
+    'Dropping persisted job that cannot be resumed'
+  );
+  if (descriptor.chatId && descriptor.statusMessageId) {
+    await bot.telegram.editMessageText(
+      descriptor.chatId,
+      descriptor.statusMessageId,
+      undefined,
+      'Failed: the bot restarted and this download could not be resumed. Please send the link again.'
+    ).catch(() => {});
+  }
+}
+
+async function resumePersistedJobs() {
+  const persisted = jobStore.list();
+  if (!persisted.length) {
+    return;
+  }
+
+  await clearTemporaryDownloads();
+
+  const batches = new Map();
+  const droppedRequestIds = new Set();
+  const resumedRequestIds = new Set();
+  let resumedCount = 0;
+  for (const descriptor of persisted) {
+    if (!isResumableJob(descriptor)) {
+      await failPersistedJob(descriptor);
+      droppedRequestIds.add(descriptor.requestId);
+      continue;
+    }
+
+    // Only a job that was running when the bot stopped may be what crashed it;
+    // ones still waiting in the queue keep their count.
+    const resumeCount = (descriptor.resumeCount || 0) + (descriptor.status === "running" ? 1 : 0);
+    resumedCount += 1;
+    resumedRequestIds.add(descriptor.requestId);
+    if (!descriptor.playlist) {
+      await enqueueSingleDownload({ ...descriptor, resumeCount }, { resumed: true });
+      continue;
+    }
+
+    const batch = batches.get(descriptor.requestId) || {
+      request: { ...descriptor, title: descriptor.playlist.title },
+      entries: [],
+    };
+    batch.entries.push({
+      jobId: descriptor.id,
+      number: descriptor.playlist.number,
+      url: descriptor.url,
+      mediaId: descriptor.mediaId,
+      title: descriptor.title,
+      thumbnailUrl: descriptor.thumbnailUrl,
+      durationSeconds: descriptor.durationSeconds,
+      bumpedAt: descriptor.bumpedAt,
+      resumeCount,
+    });
+    batches.set(descriptor.requestId, batch);
+  }
+
+  for (const { request, entries } of batches.values()) {
+    entries.sort((a, b) => a.number - b.number);
+    startPlaylistBatch(request, entries, { resumed: true });
+  }
+
+  // The status message already says these failed; a lingering session would
+  // later expire with a second, misleading notice.
+  for (const requestId of droppedRequestIds) {
+    if (requestId && !resumedRequestIds.has(requestId)) {
+      sessions.delete(requestId);
+    }
+  }
+
+  logger.info({ resumed: resumedCount, dropped: persisted.length - resumedCount }, 'Resumed persisted jobs');
+}
+
+async function handleUnauthorized(ctx) {
+  logUnauthorized(ctx);
+}
+
+function parseUserId(text) {
+  return /^\d+$/.test(text) ? Number(text) : null;
+}
+
+function describeUser(user) {
+  const name = user.name ? ` (${user.name})` : "";
+  const addedBy = user.addedBy ? ` by ${user.addedBy}` : "";
+  const addedAt = user.addedAt ? ` on ${new Date(user.addedAt).toISOString().slice(0, 10)}` : "";
+  return `${user.id}${name} – ${user.source}${addedBy}${addedAt}`;
+}
+
+async function redeemInvite(ctx, code) {
+  const userId = ctx.from.id;
+  const name = [ctx.from.first_name, ctx.from.last_name].filter(Boolean).join(" ") || ctx.from.username || null;
+  const invite = users.redeemInvite(code, userId, { name });
+  if (!invite) {
+    logger.warn({ userId, chatId: ctx.chat?.id }, "Invalid invite code");
+    await ctx.reply("This invite code is invalid or has expired. Ask an admin for a new one.");
+    return;
+  }
+
+  logger.info({ userId, invitedBy: invite.createdBy }, "User joined with invite code");
+  await ctx.reply(
+    "You're in! Send me a video or audio link (YouTube, Instagram, Facebook, etc.) and I'll fetch it for you."
+  );
+  await bot.telegram.sendMessage(
+    invite.createdBy,
+    `User ${userId}${name ? ` (${name})` : ""} joined with your invite code.`
+  ).catch(() => {});
+}
+
+async function requireAdmin(ctx) {
+  const userId = ctx.from?.id;
+  if (isAdmin(userId)) {
+    return true;
+  }
+  if (!isAuthorized(userId)) {
+    await handleUnauthorized(ctx);
+    return false;
+  }
+  logger.warn({ userId, chatId: ctx.chat?.id }, "Non-admin attempted an admin command");
+  await ctx.reply("This command is only available to admins.");
+  return false;
+}
+
+bot.start(async (ctx) => {
+  if (!isAuthorized(ctx.from?.id)) {
+    const code = ctx.payload?.trim();
+    if (code && ctx.chat?.type === "private") {
+      await redeemInvite(ctx, code);
+      return;
+    }
+    await handleUnauthorized(ctx);
+    return;
+  }
+
+  logRequest(ctx, { command: 'start' });
+
+  await ctx.reply(
+    "Send me a video or audio link (YouTube, Instagram, Facebook, etc.) and I'll fetch it for you."
+  );
+});
+
+bot.help(async (ctx) => {
+  if (!isAuthorized(ctx.from?.id)) {
+    await handleUnauthorized(ctx);
+    return;
+  }
+
+  logRequest(ctx, { command: 'help' });
+
+  const helpText = [
+    "Usage:",
+    "1. Send a media link.",
+    "2. Pick audio or video.",
+    "3. Choose the language.",
+    "4. Choose a provided format.",
+    "Playlist and channel links let you pick all entries or a range, then one preset for the whole batch.",
+    "",
+    "Commands:",
+    "/status [id] - Show the queue and your requests.",
+    "/cancel [id|all] - Stop one or all of your requests.",
+    "You can send several links; each one becomes its own request.",
+    "I'll download, convert it (MP3, M4A, Opus, FLAC or MP4), and send it back.",
+    `Files over ${config.MAX_FILE_SIZE_MB} MB can be split into parts, or videos re-encoded with "Fit under ${Math.floor(config.MAX_FILE_SIZE_MB)} MB".`,
+    "Playlist entries over that size are skipped.",
+  ];
+
+  if (isAdmin(ctx.from.id)) {
+    helpText.push(
+      "",
+      "Admin commands:",
+      "/status all - Show every open request.",
+      "/status <id>, /cancel <id> - Inspect or stop anyone's request.",
+      "/bump <id> - Move a queued request to the front of the queue.",
+      "/purgecache <link|all> - Forget cached uploads so they are downloaded again.",
+      "/ytdlp - Show downloader diagnostics.",
+      "/users - List allowed users.",
+      "/allow <id>, /deny <id> - Grant or revoke access.",
+      "/invite [uses] - Create an invite code for /start."
+    );
+  }
+
+  await ctx.reply(helpText.join("\n"));
+
+});
+
+bot.command("cancel", async (ctx) => {
+  if (!isAuthorized(ctx.from?.id)) {
+    await handleUnauthorized(ctx);
+    return;
+  }
+
+  logRequest(ctx, { command: 'cancel' });
+
+  const requests = listUserRequests(ctx.chat.id, ctx.from.id);
+  const target = getCommandArgument(ctx);
+  if (!requests.length && (!target || target === "all")) {
+    await ctx.reply("No active request to cancel.");
+    return;
+  }
+
+  if (target === "all") {
+    for (const session of requests) {
+      await cancelRequest(session);
+    }
+    await ctx.reply(`Canceled ${requests.length} request(s). Send a new link to start over.`);
+    return;
+  }
+
+  if (target) {
+    const session = findRequest(ctx, target);
+    if (!session) {
+      await ctx.reply(`No active request with ID ${target}. Use /status to list your requests.`);
+      return;
+    }
+    await cancelRequest(session, { canceledBy: ctx.from.id });
+    await ctx.reply(`Canceled request ${target}.`);
+    return;
+  }
+
+  if (requests.length === 1) {
+    await cancelRequest(requests[0]);
+    await ctx.reply("Canceled current request. Send a new link to start over.");
+    return;
+  }
+
+  const buttons = requests.map((session) =>
+    [Markup.button.callback(`Cancel ${session.requestId}`, `cancel:${session.requestId}`)]
+  );
+  buttons.push([Markup.button.callback("Cancel all", "cancel:all")]);
+  await ctx.reply(
+    ["Which request should I cancel?", ...requests.map(describeRequest)].join("\n"),
+    Markup.inlineKeyboard(buttons)
+  );
+});
+
+bot.command("status", async (ctx) => {
+  if (!isAuthorized(ctx.from?.id)) {
+    await handleUnauthorized(ctx);
+    return;
+  }
+
+  const requests = listUserRequests(ctx.chat.id, ctx.from.id);
+  const target = getCommandArgument(ctx);
+  const stats = queue.stats;
+  const lines = [
+    `Active downloads: ${stats.active}/${stats.concurrency}`,
+    `Queued downloads: ${stats.queued}`,
+  ];
+
+  if (target === "all" && isAdmin(ctx.from.id)) {
+    const allRequests = sessions.list();
+    lines.push(allRequests.length ? "All requests:" : "No open requests.");
+    lines.push(...allRequests.map((session) => describeRequest(session, { withOwner: true })));
+  } else if (target) {
+    const session = findRequest(ctx, target);
+    if (!session) {
+      lines.push(`No active request with ID ${target}.`);
+    } else {
+      lines.push(`Request ${describeRequest(session, { withOwner: isAdmin(ctx.from.id) })}`);
+      const summary = buildMediaSummary(session);
+      if (summary) {
+        lines.push(summary);
+      }
+    }
+  } else if (requests.length) {
+    lines.push("Your requests:");
+    lines.push(...requests.map(describeRequest));
+    lines.push("Use /status <id> for details or /cancel <id> to stop one.");
+  } else {
+    lines.push("Current request: none");
+  }
+
+  const quota = isAdmin(ctx.from.id) ? null : describeQuota(ctx.from.id);
+  if (quota) {
+    lines.push(quota);
+  }
+
+  await ctx.reply(lines.join("\n"));
+});
+
+bot.command("ytdlp", async (ctx) => {
+  if (!await requireAdmin(ctx)) {
+    return;
+  }
+
+  logRequest(ctx, { command: 'ytdlp' });
+
+  try {
+    const version = await getYtDlpVersion();
+    await ctx.reply([
+      `yt-dlp: ${version}`,
+      `Path: ${config.YT_DLP_BINARY_PATH}`,
+      `JS runtime: ${config.YT_DLP_JS_RUNTIME || "default"}`,
+      `Remote components: ${config.YT_DLP_REMOTE_COMPONENTS.join(", ") || "none"}`,
+      `Extra args: ${config.YT_DLP_EXTRA_ARGS.join(" ") || "none"}`,
+      `Cookies: ${getCookieStatus()}`,
+    ].join("\n"));
+  } catch (error) {
+    logger.error({ error: error.message }, "Failed to inspect yt-dlp");
+    await ctx.reply(`yt-dlp check failed: ${error.message}`);
+  }
+});
+
+bot.command("bump", async (ctx) => {
+  if (!await requireAdmin(ctx)) {
+    return;
+  }
+
+  logRequest(ctx, { command: 'bump' });
+
+  const target = getCommandArgument(ctx);
+  const session = target ? findRequest(ctx, target) : null;
+  if (!session) {
+    await ctx.reply(target ? `No active request with ID ${target}.` : "Usage: /bump <request id>");
+    return;
+  }
+
+  const position = session.activeJob?.bumpQueued?.() || 0;
+  if (!position) {
+    await ctx.reply(`Request ${target} is not waiting in the queue.`);
+    return;
+  }
+
+  logger.info({ requestId: target, bumpedBy: ctx.from.id, position }, "Request bumped");
+  await ctx.reply(`Request ${target} moved to position #${position}.`);
+});
+
+bot.command("purgecache", async (ctx) => {
+  if (!await requireAdmin(ctx)) {
+    return;
+  }
+
+  logRequest(ctx, { command: 'purgecache' });
+
+  const target = getCommandArgument(ctx);
+  if (!target) {
+    await ctx.reply(`Cached uploads: ${fileCache.size}\nUsage: /purgecache <link|all>`);
+    return;
+  }
+
+  let removed;
+  if (target === "all") {
+    removed = fileCache.purge();
+  } else {
+    const url = sanitizeUrl(target);
+    const normalized = url ? normalizeMediaUrl(url) : null;
+    removed = fileCache.purge((entry) => entry.url === normalized || entry.mediaId === target);
+  }
+
+  logger.info({ target, removed, purgedBy: ctx.from.id }, "Purged file cache entries");
+  await ctx.reply(`Removed ${removed} cached upload(s).`);
+});
+
+bot.command("users", async (ctx) => {
+  if (!await requireAdmin(ctx)) {
+    return;
+  }
+
+  logRequest(ctx, { command: 'users' });
+
+  const allowed = users.list();
+  const lines = [
+    `Admins: ${[...config.ADMIN_USER_IDS].join(", ") || "none"}`,
+    allowed.length ? `Allowed users (${allowed.length}):` : "No other allowed users.",
+    ...allowed.map(describeUser),
+  ];
+  await ctx.reply(lines.join("\n"));
+});
+
+bot.command("allow", async (ctx) => {
+  if (!await requireAdmin(ctx)) {
+    return;
+  }
+
+  logRequest(ctx, { command: 'allow' });
+
+  const userId = parseUserId(getCommandArgument(ctx));
+  if (!userId) {
+    await ctx.reply("Usage: /allow <telegram user id>");
+    return;
+  }
+
+  const alreadyAllowed = users.has(userId);
+  users.allow(userId, { addedBy: ctx.from.id });
+  logger.info({ userId, addedBy: ctx.from.id }, "User allowed");
+  await ctx.reply(alreadyAllowed ? `User ${userId} was already allowed.` : `User ${userId} can now use the bot.`);
+});
+
+bot.command("deny", async (ctx) => {
+  if (!await requireAdmin(ctx)) {
+    return;
+  }
+
+  logRequest(ctx, { command: 'deny' });
+
+  const userId = parseUserId(getCommandArgument(ctx));
+  if (!userId) {
+    await ctx.reply("Usage: /deny <telegram user id>");
+    return;
+  }
+  if (isAdmin(userId)) {
+    await ctx.reply("Admins are managed through ADMIN_USER_IDS and cannot be denied here.");
+    return;
   }
 
-  await ctx.reply(lines.join("\n"));
+  const removed = users.deny(userId);
+  const open = sessions.list().filter((session) => session.userId === userId);
+  for (const session of open) {
+    await cancelRequest(session, { canceledBy: ctx.from.id });
+  }
+  logger.info({ userId, deniedBy: ctx.from.id, canceled: open.length }, "User denied");
+  await ctx.reply(
+    removed
+      ? `User ${userId} can no longer use the bot.${open.length ? ` Canceled ${open.length} open request(s).` : ""}`
+      : `User ${userId} was not on the allowlist.`
+  );
 });
 
-bot.command("ytdlp", async (ctx) => {
-  if (!isAuthorized(ctx.from?.id)) {
-    await handleUnauthorized(ctx);
+bot.command("invite", async (ctx) => {
+  if (!await requireAdmin(ctx)) {
     return;
   }
 
-  try {
-    const version = await getYtDlpVersion();
-    await ctx.reply([
-      `yt-dlp: ${version}`,
-      `Path: ${config.YT_DLP_BINARY_PATH}`,
-      `JS runtime: ${config.YT_DLP_JS_RUNTIME || "default"}`,
-      `Remote components: ${config.YT_DLP_REMOTE_COMPONENTS.join(", ") || "none"}`,
-      `Extra args: ${config.YT_DLP_EXTRA_ARGS.join(" ") || "none"}`,
-      `Cookies: ${getCookieStatus()}`,
-    ].join("\n"));
-  } catch (error) {
-    logger.error({ error: error.message }, "Failed to inspect yt-dlp");
-    await ctx.reply(`yt-dlp check failed: ${error.message}`);
+  logRequest(ctx, { command: 'invite' });
+
+  const argument = getCommandArgument(ctx);
+  const uses = argument ? Number.parseInt(argument, 10) : 1;
+  if (!Number.isInteger(uses) || uses < 1) {
+    await ctx.reply("Usage: /invite [number of uses]");
+    return;
   }
+
+  const invite = users.createInvite({
+    createdBy: ctx.from.id,
+    ttlMs: config.INVITE_TTL_HOURS * 60 * 60 * 1000,
+    uses,
+  });
+  logger.info({ createdBy: ctx.from.id, uses, expiresAt: invite.expiresAt }, "Invite code created");
+
+  const link = ctx.botInfo?.username ? `https://t.me/${ctx.botInfo.username}?start=${invite.code}` : null;
+  await ctx.reply([
+    `Invite code: ${invite.code}`,
+    link ? `Link: ${link}` : `New users send: /start ${invite.code}`,
+    `Valid for ${uses} use(s) until ${new Date(invite.expiresAt).toISOString().replace("T", " ").slice(0, 16)} UTC.`,
+  ].join("\n"));
 });
 
 bot.on("text", async (ctx) => {
+  if (isGroupChat(ctx.chat) && !isAddressedToBot(ctx)) {
+    return;
+  }
+
   if (!isAuthorized(ctx.from?.id)) {
     await handleUnauthorized(ctx);
     return;
@@ -296,77 +2070,43 @@ bot.on("text", async (ctx) => {
 
   logRequest(ctx, { message: 'text' });
 
-  const existingSession = sessions.get(ctx.chat.id);
-  if (existingSession) {
-    if (existingSession.userId !== ctx.from.id) {
-      await ctx.reply("Another user has an active request in this chat. Ask them to /cancel it first.");
-      return;
-    }
-    await cancelSession(ctx, { userId: ctx.from.id, notify: false });
+  const url = sanitizeUrl(ctx.message.text);
+  const pendingRange = listUserRequests(ctx.chat.id, ctx.from.id)
+    .filter((session) => session.stage === "choosing playlist range")
+    .pop();
+  if (!url && pendingRange) {
+    await handlePlaylistRange(ctx, pendingRange);
+    return;
   }
 
-  const url = sanitizeUrl(ctx.message.text);
   if (!url) {
-    await ctx.reply("Please send a valid media URL.");
+    await ctx.reply("Please send a valid media URL.", replyOptions(getReplyTarget(ctx)));
     return;
   }
 
-  sessions.create(ctx.chat.id, {
-    requestId: randomUUID(),
-    stage: "choosing type",
-    url,
-    userId: ctx.from.id,
-  });
-
-  const selectionMessage = await ctx.reply(
-    "What would you like to download?",
-    Markup.inlineKeyboard([
-      [Markup.button.callback("Audio", "type:audio"), Markup.button.callback("Video", "type:video")],
-      [Markup.button.callback("Cancel", "cancel")],
-    ])
-  );
-
-  sessions.update(ctx.chat.id, {
-    selectionMessageId: selectionMessage.message_id,
-    formatMessageId: null,
-  });
-});
-
-bot.action(/^type:(audio|video)$/i, async (ctx) => {
-  const chatId = ctx.chat.id;
-  const userId = ctx.from?.id;
-  if (!isAuthorized(userId)) {
-    await ctx.answerCbQuery();
-    await handleUnauthorized(ctx);
+  const quotaMessage = checkQuota(ctx.from.id);
+  if (quotaMessage) {
+    await ctx.reply(quotaMessage, replyOptions(getReplyTarget(ctx)));
     return;
   }
 
-  logRequest(ctx, { action: 'choose-type', chosenType: ctx.match[1] });
-
-  const session = sessions.get(chatId);
-  if (!session || session.userId !== userId) {
-    await ctx.answerCbQuery("No active request. Send a link first.", { show_alert: true });
+  if (isLikelyPlaylistUrl(url) && await offerPlaylist(ctx, url)) {
     return;
   }
 
-  const type = ctx.match[1].toLowerCase();
-  const requestId = session.requestId;
-  const promptMessageId = ctx.callbackQuery?.message?.message_id;
-  const selectionMessageId = session.selectionMessageId || promptMessageId;
-  await ctx.answerCbQuery();
-
-  if (selectionMessageId) {
-    await ctx.telegram.deleteMessage(chatId, selectionMessageId).catch(() => {});
-    sessions.update(chatId, { selectionMessageId: null });
-  }
+  await promptMediaType(ctx, url);
+});
 
-  const loadingMessage = await ctx.reply("Fetching available formats...");
-  sessions.update(chatId, { stage: `fetching ${type} formats` });
+// Fetches formats (from the metadata cache unless `refresh` is set) and asks
+// for the language of the chosen type.
+async function promptLanguage(ctx, session, type, { refresh = false } = {}) {
+  const { requestId } = session;
+  const loadingMessage = await ctx.reply("Fetching available formats...", replyOptions(session.replyToMessageId));
+  sessions.update(requestId, { stage: `fetching ${type} formats` });
 
   try {
-    const { formats, title, description, thumbnailUrl, webpageUrl, durationSeconds } = await listFormats(session.url);
-    const currentSession = sessions.get(chatId);
-    if (!currentSession || currentSession.requestId !== requestId) {
+    const { formats, title, description, thumbnailUrl, webpageUrl, mediaId, durationSeconds, uploader } = await listFormats(session.url, { refresh });
+    if (!sessions.get(requestId)) {
       return;
     }
 
@@ -374,25 +2114,27 @@ bot.action(/^type:(audio|video)$/i, async (ctx) => {
       const languages = type === "audio" ? getAudioLanguages(formats) : getVideoLanguages(formats);
 
       if (!languages.length) {
-        await ctx.reply(`No suitable ${type} formats found. Try another link.`);
+        await ctx.reply(`No suitable ${type} formats found. Try another link.`, replyOptions(session.replyToMessageId));
         return;
       }
 
-      const summary = buildMediaSummary({ title, durationSeconds });
+      const summary = buildMediaSummary({ title, uploader, durationSeconds });
       const languagePrompt = type === "audio" ? "Choose audio language:" : "Choose video audio language:";
       const languageMessage = await ctx.reply(
         [summary, languagePrompt].filter(Boolean).join("\n\n"),
-        buildLanguageKeyboard(languages, type)
+        replyOptions(session.replyToMessageId, buildLanguageKeyboard(languages, type, requestId))
       );
 
-      sessions.update(chatId, {
+      sessions.update(requestId, {
         type,
         stage: type === "audio" ? "choosing audio language" : "choosing video language",
         title,
         description,
         thumbnailUrl,
         webpageUrl,
+        mediaId,
         durationSeconds,
+        uploader,
         sourceFormats: formats,
         mediaLanguages: languages,
         languageMessageId: languageMessage.message_id,
@@ -402,8 +2144,11 @@ bot.action(/^type:(audio|video)$/i, async (ctx) => {
       return;
     }
   } catch (error) {
-    logger.error({ error: error.message, stack: error.stack }, "Failed to list formats");
-    await ctx.reply("Could not retrieve formats. Please try again later.");
+    logger.error({ error: error.message, stack: error.stack, category: classifyError(error).category }, "Failed to list formats");
+    await ctx.reply(
+      `Could not retrieve formats. ${describeError(error, "Please try again later.")}`,
+      replyOptions(session.replyToMessageId)
+    );
   } finally {
     try {
       await ctx.deleteMessage(loadingMessage.message_id);
@@ -411,9 +2156,68 @@ bot.action(/^type:(audio|video)$/i, async (ctx) => {
       logger.debug({ error: error.message }, "Failed to delete loading message");
     }
   }
+}
+
+bot.action(/^type:(audio|video):([\w-]+)$/i, async (ctx) => {
+  const chatId = ctx.chat.id;
+  const userId = ctx.from?.id;
+  if (!isAuthorized(userId)) {
+    await ctx.answerCbQuery();
+    await handleUnauthorized(ctx);
+    return;
+  }
+
+  logRequest(ctx, { action: 'choose-type', chosenType: ctx.match[1] });
+
+  const requestId = ctx.match[2];
+  const session = getRequestSession(ctx, requestId);
+  if (!session) {
+    await ctx.answerCbQuery("No active request. Send a link first.", { show_alert: true });
+    return;
+  }
+
+  const type = ctx.match[1].toLowerCase();
+  const promptMessageId = ctx.callbackQuery?.message?.message_id;
+  const selectionMessageId = session.selectionMessageId || promptMessageId;
+  await ctx.answerCbQuery();
+
+  if (selectionMessageId) {
+    await ctx.telegram.deleteMessage(chatId, selectionMessageId).catch(() => {});
+    sessions.update(requestId, { selectionMessageId: null });
+  }
+
+  await promptLanguage(ctx, session, type);
+});
+
+bot.action(/^refresh:(audio|video):([\w-]+)$/i, async (ctx) => {
+  const chatId = ctx.chat.id;
+  const userId = ctx.from?.id;
+  if (!isAuthorized(userId)) {
+    await ctx.answerCbQuery();
+    await handleUnauthorized(ctx);
+    return;
+  }
+
+  const requestId = ctx.match[2];
+  const session = getRequestSession(ctx, requestId);
+  if (!session || session.activeJob) {
+    await ctx.answerCbQuery("Request expired. Send the link again.", { show_alert: true });
+    return;
+  }
+
+  logRequest(ctx, { action: 'refresh-formats' });
+  await ctx.answerCbQuery("Fetching fresh formats...");
+
+  const promptMessageId = session.languageMessageId || ctx.callbackQuery?.message?.message_id;
+  if (promptMessageId) {
+    await ctx.telegram.deleteMessage(chatId, promptMessageId).catch(() => {});
+    sessions.update(requestId, { languageMessageId: null });
+  }
+
+  await promptLanguage(ctx, session, ctx.match[1].toLowerCase(), { refresh: true });
 });
 
-bot.action(/^lang:(audio|video):(\d+)$/i, async (ctx) => {
+bot.action(/^lang:(audio|video):(\d+):([\w-]+)$/i, async (ctx) => {
   const chatId = ctx.chat.id;
   const userId = ctx.from?.id;
   if (!isAuthorized(userId)) {
@@ -422,9 +2226,10 @@ bot.action(/^lang:(audio|video):(\d+)$/i, async (ctx) => {
     return;
   }
 
-  const session = sessions.get(chatId);
+  const requestId = ctx.match[3];
+  const session = getRequestSession(ctx, requestId);
   const type = ctx.match[1].toLowerCase();
-  if (!session || session.userId !== userId || session.type !== type) {
+  if (!session || session.type !== type) {
     await ctx.answerCbQuery(`No active ${type} request. Send a link first.`, { show_alert: true });
     return;
   }
@@ -448,7 +2253,7 @@ bot.action(/^lang:(audio|video):(\d+)$/i, async (ctx) => {
   const languageMessageId = session.languageMessageId || ctx.callbackQuery?.message?.message_id;
   if (languageMessageId) {
     await ctx.telegram.deleteMessage(chatId, languageMessageId).catch(() => {});
-    sessions.update(chatId, { languageMessageId: null });
+    sessions.update(requestId, { languageMessageId: null });
   }
 
   const filtered = type === "audio"
@@ -458,20 +2263,22 @@ bot.action(/^lang:(audio|video):(\d+)$/i, async (ctx) => {
     })
     : getVideoQualityOptions(session.sourceFormats || [], {
       languageId: selectedLanguage.id,
+      durationSeconds: session.durationSeconds,
+      maxBytes: TELEGRAM_FILE_LIMIT_BYTES,
     });
 
   if (!filtered.length) {
-    await ctx.reply("No suitable formats found for that language. Try another link.");
+    await ctx.reply("No suitable formats found for that language. Try another link.", replyOptions(session.replyToMessageId));
     return;
   }
 
   const promptText = type === "audio" ? "Choose an audio bitrate:" : "Choose a video quality:";
   const formatMessage = await ctx.reply(
     [buildMediaSummary(session), promptText].filter(Boolean).join("\n\n"),
-    buildFormatKeyboard(filtered, type)
+    replyOptions(session.replyToMessageId, buildFormatKeyboard(filtered, type, requestId))
   );
 
-  sessions.update(chatId, {
+  sessions.update(requestId, {
     selectedLanguageId: selectedLanguage.id,
     selectedLanguageLabel: selectedLanguage.label,
     stage: type === "audio" ? "choosing audio quality" : "choosing video quality",
@@ -481,7 +2288,7 @@ bot.action(/^lang:(audio|video):(\d+)$/i, async (ctx) => {
   });
 });
 
-bot.action(/^back:(audio|video)-language$/i, async (ctx) => {
+bot.action(/^back:(audio|video)-language:([\w-]+)$/i, async (ctx) => {
   const chatId = ctx.chat.id;
   const userId = ctx.from?.id;
   if (!isAuthorized(userId)) {
@@ -490,9 +2297,10 @@ bot.action(/^back:(audio|video)-language$/i, async (ctx) => {
     return;
   }
 
-  const session = sessions.get(chatId);
+  const requestId = ctx.match[2];
+  const session = getRequestSession(ctx, requestId);
   const type = ctx.match[1].toLowerCase();
-  if (!session || session.userId !== userId || session.type !== type || !session.mediaLanguages?.length) {
+  if (!session || session.type !== type || !session.mediaLanguages?.length) {
     await ctx.answerCbQuery(`No active ${type} request.`, { show_alert: true });
     return;
   }
@@ -507,10 +2315,10 @@ bot.action(/^back:(audio|video)-language$/i, async (ctx) => {
   const promptText = type === "audio" ? "Choose audio language:" : "Choose video audio language:";
   const languageMessage = await ctx.reply(
     [buildMediaSummary(session), promptText].filter(Boolean).join("\n\n"),
-    buildLanguageKeyboard(session.mediaLanguages, type)
+    replyOptions(session.replyToMessageId, buildLanguageKeyboard(session.mediaLanguages, type, requestId))
   );
 
-  sessions.update(chatId, {
+  sessions.update(requestId, {
     stage: type === "audio" ? "choosing audio language" : "choosing video language",
     selectedLanguageId: null,
     selectedLanguageLabel: null,
@@ -521,7 +2329,8 @@ bot.action(/^back:(audio|video)-language$/i, async (ctx) => {
 });
 
 
-bot.action(/^fmt:(audio|video):(\d+)$/i, async (ctx) => {
+// "split" picks the same format but uploads it in parts when it is too large.
+bot.action(/^(fmt|split):(audio|video):(\d+):([\w-]+)$/i, async (ctx) => {
   const chatId = ctx.chat.id;
   const userId = ctx.from?.id;
   if (!isAuthorized(userId)) {
@@ -530,229 +2339,243 @@ bot.action(/^fmt:(audio|video):(\d+)$/i, async (ctx) => {
     return;
   }
 
-  const session = sessions.get(chatId);
-  if (!session || session.userId !== userId) {
+  const requestId = ctx.match[4];
+  const session = getRequestSession(ctx, requestId);
+  if (!session) {
     await ctx.answerCbQuery("Request expired. Send the link again.", { show_alert: true });
     return;
   }
 
-  const type = ctx.match[1].toLowerCase();
-  const index = Number.parseInt(ctx.match[2], 10);
+  const split = ctx.match[1].toLowerCase() === "split";
+  const type = ctx.match[2].toLowerCase();
+  const index = Number.parseInt(ctx.match[3], 10);
   const selectedFormat = session.formats?.[index];
-  const requestId = session.requestId;
 
   if (!selectedFormat) {
     await ctx.answerCbQuery("Unknown format.", { show_alert: true });
     return;
   }
 
+  const quotaMessage = checkQuota(userId);
+  if (quotaMessage) {
+    await ctx.answerCbQuery(quotaMessage, { show_alert: true });
+    return;
+  }
+
   await ctx.answerCbQuery('Selected ' + selectedFormat.displayLabel);
 
   logRequest(ctx, {
-    action: 'choose-format',
+    action: split ? 'choose-format-split' : 'choose-format',
     formatId: selectedFormat.id,
     formatLabel: selectedFormat.displayLabel,
     outputAudioBitrateKbps: selectedFormat.outputAudioBitrateKbps,
     outputAudioChannels: selectedFormat.outputAudioChannels,
+    outputAudioCodec: selectedFormat.outputAudioCodec,
   });
 
   if (session.formatMessageId) {
     await ctx.telegram.deleteMessage(chatId, session.formatMessageId).catch(() => {});
-    sessions.update(chatId, { formatMessageId: null });
+    sessions.update(requestId, { formatMessageId: null });
   }
 
-  sessions.update(chatId, { title: session.title });
+  sessions.update(requestId, { title: session.title });
 
   const estimatedSize = selectedFormat.estimatedSizeBytes || selectedFormat.approxSize || null;
-  if (estimatedSize && estimatedSize > TELEGRAM_FILE_LIMIT_BYTES) {
+  if (!split && estimatedSize && estimatedSize > TELEGRAM_FILE_LIMIT_BYTES) {
     await ctx.reply(
-      'Selected option is larger than ' + config.MAX_FILE_SIZE_MB + ' MB. Please pick a smaller choice.'
+      'Selected option is larger than ' + config.MAX_FILE_SIZE_MB + ' MB. Split it into parts or pick a smaller choice.',
+      replyOptions(session.replyToMessageId)
     );
     const currentFormats = session.formats || [];
     if (currentFormats.length) {
       const promptText = type === 'audio' ? 'Pick a smaller audio bitrate:' : 'Pick a smaller video quality:';
-      const retryMessage = await ctx.reply(promptText, buildFormatKeyboard(currentFormats, type));
-      sessions.update(chatId, { formatMessageId: retryMessage.message_id });
+      const retryMessage = await ctx.reply(
+        promptText,
+        replyOptions(session.replyToMessageId, buildFormatKeyboard(currentFormats, type, requestId, { splitIndex: index }))
+      );
+      sessions.update(requestId, { formatMessageId: retryMessage.message_id });
     }
     return;
   }
 
-  const statusMessage = await ctx.reply('Queued...');
-  const updateStatus = createStatusUpdater(chatId, statusMessage.message_id);
-  const controller = new AbortController();
+  const statusMessage = await ctx.reply('Queued...', replyOptions(session.replyToMessageId));
+  await enqueueSingleDownload({
+    id: randomUUID(),
+    requestId,
+    chatId,
+    userId,
+    url: session.url,
+    mediaId: session.mediaId,
+    type,
+    formatId: selectedFormat.id,
+    preset: createJobPreset(selectedFormat),
+    title: session.title,
+    description: session.description,
+    thumbnailUrl: session.thumbnailUrl,
+    durationSeconds: session.durationSeconds,
+    split,
+    statusMessageId: statusMessage.message_id,
+    replyToMessageId: session.replyToMessageId,
+  });
+});
 
-  const job = queue.enqueue(async () => {
-    if (controller.signal.aborted) {
-      return { success: false, reason: "canceled" };
-    }
+bot.action(/^pl:(all|range|single):([\w-]+)$/i, async (ctx) => {
+  const chatId = ctx.chat.id;
+  const userId = ctx.from?.id;
+  if (!isAuthorized(userId)) {
+    await ctx.answerCbQuery();
+    await handleUnauthorized(ctx);
+    return;
+  }
+
+  const requestId = ctx.match[2];
+  const session = getRequestSession(ctx, requestId);
+  if (!session || !session.playlist) {
+    await ctx.answerCbQuery("No active playlist request. Send a link first.", { show_alert: true });
+    return;
+  }
+
+  const choice = ctx.match[1].toLowerCase();
+  logRequest(ctx, { action: 'choose-playlist-entries', choice });
+  await ctx.answerCbQuery();
+
+  const selectionMessageId = session.selectionMessageId || ctx.callbackQuery?.message?.message_id;
+  if (selectionMessageId) {
+    await ctx.telegram.deleteMessage(chatId, selectionMessageId).catch(() => {});
+    sessions.update(requestId, { selectionMessageId: null });
+  }
+
+  if (choice === "single") {
+    sessions.delete(requestId);
+    await promptMediaType(ctx, session.url, session.replyToMessageId);
+    return;
+  }
 
-    sessions.update(chatId, {
-      stage: type === "audio" ? "downloading audio" : "downloading video",
+  if (choice === "range") {
+    const rangeMessage = await ctx.reply(
+      [
+        `Send the entries to download (1-${session.playlist.entries.length}), for example "1-5" or "2,4,7-9".`,
+        isGroupChat(ctx.chat) ? "Reply to this message with your selection." : null,
+      ].filter(Boolean).join("\n"),
+      replyOptions(session.replyToMessageId, Markup.inlineKeyboard([[buildCancelButton(requestId)]]))
+    );
+    sessions.update(requestId, {
+      stage: "choosing playlist range",
+      selectionMessageId: rangeMessage.message_id,
     });
-    await updateStatus('Preparing download...');
+    return;
+  }
 
-    let download;
+  await promptPlaylistType(ctx, {
+    ...session,
+    selectedEntries: session.playlist.entries.map((entry, index) => ({ ...entry, number: index + 1 })),
+  });
+});
 
-    try {
-      download = await downloadMedia({
-        url: session.url,
-        formatId: selectedFormat.id,
-        type,
-        expectedTitle: session.title,
-        onStatus: async (text) => {
-          await updateStatus(text);
-        },
-        targetFileName: selectedFormat.targetFileName,
-        outputAudioBitrateKbps: selectedFormat.outputAudioBitrateKbps,
-        outputAudioChannels: selectedFormat.outputAudioChannels,
-        description: session.description,
-        thumbnailUrl: session.thumbnailUrl,
-        signal: controller.signal,
-      });
+bot.action(/^pltype:(audio|video):([\w-]+)$/i, async (ctx) => {
+  const chatId = ctx.chat.id;
+  const userId = ctx.from?.id;
+  if (!isAuthorized(userId)) {
+    await ctx.answerCbQuery();
+    await handleUnauthorized(ctx);
+    return;
+  }
 
-      if (download.size > TELEGRAM_FILE_LIMIT_BYTES) {
-        logger.warn(
-          { size: download.size, limit: TELEGRAM_FILE_LIMIT_BYTES, chatId, formatId: selectedFormat.id },
-          'Downloaded file exceeds configured size limit'
-        );
-        await updateStatus('Download complete, but file exceeds size limit. Please pick a smaller option.');
-        return { success: false, reason: 'file-too-large', keepSession: true };
-      }
+  const requestId = ctx.match[2];
+  const session = getRequestSession(ctx, requestId);
+  if (!session || !session.selectedEntries?.length) {
+    await ctx.answerCbQuery("No active playlist request. Send a link first.", { show_alert: true });
+    return;
+  }
 
-      await updateStatus('Uploading...');
+  const type = ctx.match[1].toLowerCase();
+  logRequest(ctx, { action: 'choose-playlist-type', chosenType: type });
+  await ctx.answerCbQuery();
 
-      try {
-        if (type === 'audio') {
-          const lowerFile = download.fileName.toLowerCase();
-          const isMp3 = lowerFile.endsWith('.mp3');
-          const isM4a = lowerFile.endsWith('.m4a');
-
-          if (isMp3 || isM4a) {
-            await ctx.telegram.sendAudio(
-              chatId,
-              { source: download.stream(), filename: download.fileName },
-              {
-                title: download.title,
-              }
-            );
-          } else {
-            await ctx.telegram.sendDocument(
-              chatId,
-              { source: download.stream(), filename: download.fileName },
-              {
-                caption: download.title,
-              }
-            );
-          }
-        } else {
-          await ctx.telegram.sendVideo(
-            chatId,
-            { source: download.stream() },
-            {
-              caption: download.title,
-              supports_streaming: true,
-            }
-          );
-        }
-      } catch (error) {
-        if (isTelegramEntityTooLarge(error)) {
-          logger.warn(
-            { error: error.message, chatId, size: download.size },
-            'Telegram rejected upload: entity too large'
-          );
-          await updateStatus('Telegram rejected the upload because it exceeds their file size limit. Please choose a smaller format.');
-          return { success: false, reason: 'telegram-file-too-large', keepSession: true };
-        }
-        throw error;
-      }
+  const selectionMessageId = session.selectionMessageId || ctx.callbackQuery?.message?.message_id;
+  if (selectionMessageId) {
+    await ctx.telegram.deleteMessage(chatId, selectionMessageId).catch(() => {});
+  }
 
-      await updateStatus('Done ✅');
-      return { success: true };
-    } finally {
-      if (download) {
-        try {
-          await download.cleanup();
-        } catch (cleanupError) {
-          logger.warn(
-            { error: cleanupError.message },
-            'Failed to delete temporary download directory'
-          );
-        }
-      }
-    }
-  });
+  const averageDurationSeconds = session.durationSeconds
+    ? session.durationSeconds / session.selectedEntries.length
+    : null;
+  const formats = getPlaylistQualityOptions(type, { durationSeconds: averageDurationSeconds });
+  const promptText = type === "audio"
+    ? "Choose an audio bitrate for every entry (sizes are per entry):"
+    : "Choose a maximum video quality for every entry:";
+  const formatMessage = await ctx.reply(
+    [buildPlaylistSummary(session.playlist, session.selectedEntries), promptText].join("\n\n"),
+    replyOptions(session.replyToMessageId, buildPlaylistFormatKeyboard(formats, type, requestId))
+  );
 
-  sessions.update(chatId, {
-    stage: job.position > 0 ? `queued #${job.position}` : "queued",
-    activeJob: {
-      requestId,
-      controller,
-      cancelQueued: job.cancel,
-      statusMessageId: statusMessage.message_id,
-    },
+  sessions.update(requestId, {
+    type,
+    stage: type === "audio" ? "choosing playlist audio quality" : "choosing playlist video quality",
+    formats,
+    selectionMessageId: null,
+    formatMessageId: formatMessage.message_id,
   });
+});
 
-  if (job.position > 0) {
-    await updateStatus('Queued (#' + job.position + '). Waiting for your turn...');
+bot.action(/^plfmt:(audio|video):(\d+):([\w-]+)$/i, async (ctx) => {
+  const chatId = ctx.chat.id;
+  const userId = ctx.from?.id;
+  if (!isAuthorized(userId)) {
+    await ctx.answerCbQuery();
+    await handleUnauthorized(ctx);
+    return;
   }
 
-  job.promise
-    .then(async (result) => {
-      const currentSession = sessions.get(chatId);
-      if (!currentSession || currentSession.requestId !== requestId) {
-        return;
-      }
+  const requestId = ctx.match[3];
+  const session = getRequestSession(ctx, requestId);
+  const type = ctx.match[1].toLowerCase();
+  if (!session || session.type !== type || !session.selectedEntries?.length) {
+    await ctx.answerCbQuery("Request expired. Send the link again.", { show_alert: true });
+    return;
+  }
 
-      if (result?.reason === "canceled") {
-        sessions.delete(chatId);
-        return;
-      }
+  const selectedFormat = session.formats?.[Number.parseInt(ctx.match[2], 10)];
+  if (!selectedFormat || session.activeJob) {
+    await ctx.answerCbQuery("Unknown format.", { show_alert: true });
+    return;
+  }
 
-      if (result?.success) {
-        sessions.delete(chatId);
-        setTimeout(() => {
-          ctx.telegram.deleteMessage(chatId, statusMessage.message_id).catch((error) => {
-            logger.debug({ error: error.message }, 'Failed to delete status message');
-          });
-        }, 15000);
-        return;
-      }
+  const quotaMessage = checkQuota(userId, session.selectedEntries.length);
+  if (quotaMessage) {
+    await ctx.answerCbQuery(quotaMessage, { show_alert: true });
+    return;
+  }
 
-      if (result?.keepSession) {
-        if (currentSession?.formats?.length) {
-          const promptText = type === 'audio' ? 'Choose another audio bitrate:' : 'Choose another video quality:';
-          const retryMessage = await ctx.reply(promptText, buildFormatKeyboard(currentSession.formats, type));
-          sessions.update(chatId, {
-            activeJob: null,
-            stage: type === "audio" ? "choosing audio quality" : "choosing video quality",
-            formatMessageId: retryMessage.message_id,
-          });
-        }
-        return;
-      }
+  await ctx.answerCbQuery('Selected ' + selectedFormat.displayLabel);
 
-      sessions.delete(chatId);
-    })
-    .catch(async (error) => {
-      const currentSession = sessions.get(chatId);
-      if (!currentSession || currentSession.requestId !== requestId) {
-        return;
-      }
+  logRequest(ctx, {
+    action: 'choose-playlist-format',
+    formatId: selectedFormat.id,
+    formatLabel: selectedFormat.displayLabel,
+    entryCount: session.selectedEntries.length,
+  });
 
-      if (isAbortError(error)) {
-        logger.info({ chatId, requestId }, 'Download job canceled');
-        sessions.delete(chatId);
-        await updateStatus('Canceled.');
-        return;
-      }
+  if (session.formatMessageId) {
+    await ctx.telegram.deleteMessage(chatId, session.formatMessageId).catch(() => {});
+    sessions.update(requestId, { formatMessageId: null });
+  }
 
-      logger.error({ error: error.message, stack: error.stack }, 'Download job failed');
-      sessions.update(chatId, { activeJob: null, stage: "failed" });
-      await updateStatus('Failed. Please try another format or send a new link.');
-    });
+  const statusMessage = await ctx.reply(`Queued ${session.selectedEntries.length} playlist entries...`, replyOptions(session.replyToMessageId));
+  startPlaylistBatch({
+    requestId,
+    chatId,
+    userId,
+    title: session.playlist.title,
+    type,
+    formatId: selectedFormat.id,
+    preset: createJobPreset(selectedFormat),
+    statusMessageId: statusMessage.message_id,
+    replyToMessageId: session.replyToMessageId,
+  }, session.selectedEntries);
 });
 
-bot.action("cancel", async (ctx) => {
+bot.action(/^cancel:([\w-]+)$/i, async (ctx) => {
   const userId = ctx.from?.id;
   if (!isAuthorized(userId)) {
     await ctx.answerCbQuery();
@@ -760,13 +2583,22 @@ bot.action("cancel", async (ctx) => {
     return;
   }
 
-  const canceled = await cancelSession(ctx, { userId, notify: false });
-  if (!canceled) {
+  const target = ctx.match[1];
+  const requests = target === "all"
+    ? listUserRequests(ctx.chat.id, userId)
+    : [findRequest(ctx, target)].filter(Boolean);
+  if (!requests.length) {
     await ctx.answerCbQuery("This is not your active request.", { show_alert: true });
     return;
   }
 
+  for (const session of requests) {
+    await cancelRequest(session, { canceledBy: userId });
+  }
+
   await ctx.answerCbQuery("Canceled");
+  // Prompt keyboards are already gone; this removes the /cancel picker.
+  await ctx.deleteMessage().catch(() => {});
   await ctx.reply("Canceled. Send a new link whenever you're ready.");
 });
 
@@ -775,6 +2607,10 @@ bot.catch((error, ctx) => {
   ctx.reply?.("Something went wrong. Please try again later.");
 });
 
+resumePersistedJobs().catch((error) => {
+  logger.error({ error: error.message, stack: error.stack }, "Failed to resume persisted jobs");
+});
+
 bot.launch().then(async () => {
   logger.info("Telegram bot started");
   try {
@@ -808,5 +2644,11 @@ bot.launch().then(async () => {
   }
 });
 
-process.once("SIGINT", () => bot.stop("SIGINT"));
-process.once("SIGTERM", () => bot.stop("SIGTERM"));
+process.once("SIGINT", () => {
+  sessions.flush();
+  bot.stop("SIGINT");
+});
+process.once("SIGTERM", () => {
+  sessions.flush();
+  bot.stop("SIGTERM");
+});
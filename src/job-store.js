@@ -0,0 +1,47 @@
+import { readJsonFile, writeJsonFile } from "./json-file.js";
+
+// Keeps queued and running job descriptors on disk so they survive restarts.
+export class JobStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.jobs = new Map();
+
+    const jobs = readJsonFile(filePath, []);
+    for (const job of Array.isArray(jobs) ? jobs : []) {
+      if (job?.id) {
+        this.jobs.set(job.id, job);
+      }
+    }
+  }
+
+  list() {
+    return [...this.jobs.values()];
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  save(job) {
+    this.jobs.set(job.id, { ...this.jobs.get(job.id), ...job, updatedAt: Date.now() });
+    this.#flush();
+    return this.jobs.get(job.id);
+  }
+
+  update(id, patch) {
+    if (!this.jobs.has(id)) {
+      return null;
+    }
+    return this.save({ ...patch, id });
+  }
+
+  delete(id) {
+    if (this.jobs.delete(id)) {
+      this.#flush();
+    }
+  }
+
+  #flush() {
+    writeJsonFile(this.filePath, this.list());
+  }
+}
@@ -0,0 +1,26 @@
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { logger } from "./logger.js";
+
+export function readJsonFile(filePath, fallback) {
+  if (!filePath || !existsSync(filePath)) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch (error) {
+    logger.error({ path: filePath, error: error.message }, "Failed to read persisted state");
+    return fallback;
+  }
+}
+
+// Writes through a temporary file and a rename so a crash never leaves torn JSON.
+export function writeJsonFile(filePath, data, replacer) {
+  const tempPath = `${filePath}.tmp`;
+  try {
+    writeFileSync(tempPath, JSON.stringify(data, replacer, 2));
+    renameSync(tempPath, filePath);
+  } catch (error) {
+    logger.error({ path: filePath, error: error.message }, "Failed to persist state");
+  }
+}
@@ -0,0 +1,65 @@
+import { readJsonFile, writeJsonFile } from "./json-file.js";
+
+// Least-recently-used cache with a per-entry TTL. The Map's insertion order
+// doubles as the recency list: reads move an entry to the end and evictions
+// take from the front. With a `filePath` the entries also survive restarts.
+export class MetadataCache {
+  constructor({ maxEntries = 200, ttlMs = 30 * 60 * 1000, filePath = null } = {}) {
+    this.maxEntries = Math.max(maxEntries, 1);
+    this.ttlMs = ttlMs;
+    this.filePath = filePath;
+    this.entries = new Map();
+    const entries = filePath ? readJsonFile(filePath, []) : [];
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const [key, value] = Array.isArray(entry) ? entry : [];
+      if (typeof key === "string" && Number.isFinite(value?.expiresAt)) {
+        this.entries.set(key, value);
+      }
+    }
+    this.#prune();
+  }
+
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    if (entry.expiresAt <= now) {
+      this.#flush();
+      return null;
+    }
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, now = Date.now()) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: now + this.ttlMs });
+    this.#prune(now);
+    this.#flush();
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) {
+      this.#flush();
+    }
+  }
+
+  #prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  #flush() {
+    if (this.filePath) {
+      writeJsonFile(this.filePath, [...this.entries]);
+    }
+  }
+}
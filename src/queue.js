@@ -1,14 +1,37 @@
-export class DownloadQueue {
-  constructor(concurrency = 1) {
+import { EventEmitter } from "node:events";
+
+// Weight of the latest run in the moving average used for wait estimates.
+const DURATION_SMOOTHING = 0.3;
+
+// Emits "enqueued", "started", "progress", "completed", "failed", "canceled"
+// and "position-changed" with a snapshot of the job (see #snapshot).
+export class DownloadQueue extends EventEmitter {
+  constructor(concurrency = 1, { store = null } = {}) {
+    super();
     this.concurrency = Math.max(concurrency, 1);
     this.activeCount = 0;
     this.queue = [];
+    this.store = store;
+    this.sequence = 0;
+    // Owner -> sequence number of the last job started for them, used to
+    // rotate between owners.
+    this.lastServed = new Map();
+    this.active = new Set();
+    this.averageDurationMs = null;
   }
 
-  enqueue(task) {
-    const shouldQueue = this.activeCount >= this.concurrency;
-    const position = shouldQueue ? this.queue.length + 1 : 0;
-
+  // `descriptor` is an optional plain object (with an `id`) persisted to the
+  // store while the job is queued or running, so it can be rebuilt after a restart.
+  // Jobs with a higher `priority` run first; within a priority, owners take
+  // turns so one user's batch cannot starve everybody else. `id` names the job
+  // in events when there is no descriptor.
+  enqueue(task, {
+    descriptor = null,
+    id = descriptor?.id ?? null,
+    owner = descriptor?.userId ?? null,
+    priority = 0,
+    bumpedAt = null,
+  } = {}) {
     let externalResolve;
     let externalReject;
     const promise = new Promise((resolve, reject) => {
@@ -18,23 +41,43 @@ export class DownloadQueue {
 
     const job = {
       task,
+      id,
       resolve: externalResolve,
       reject: externalReject,
       active: false,
       canceled: false,
+      descriptor,
+      owner,
+      priority,
+      bumpedAt,
+      sequence: this.sequence += 1,
+      position: 0,
+      startedAt: null,
+      etaSeconds: null,
     };
 
+    if (descriptor) {
+      this.store?.save({ ...descriptor, status: "queued", priority, bumpedAt });
+    }
+
+    const shouldQueue = this.activeCount >= this.concurrency;
     if (shouldQueue) {
       this.queue.push(job);
+      this.emit("enqueued", this.#snapshot(job));
+      this.#updatePositions();
     } else {
+      this.emit("enqueued", this.#snapshot(job));
       this.#runJob(job);
     }
 
     return {
       promise,
-      position,
+      position: this.positionOf(job),
       queued: shouldQueue,
       cancel: () => this.cancel(job),
+      bump: () => this.bump(job),
+      getPosition: () => this.positionOf(job),
+      getEstimatedWait: () => this.estimateWait(job),
     };
   }
 
@@ -50,12 +93,63 @@ export class DownloadQueue {
 
     job.canceled = true;
     this.queue.splice(index, 1);
+    this.#forget(job);
+    this.emit("canceled", this.#snapshot(job));
+    this.#updatePositions();
     const error = new Error("Job canceled");
     error.name = "AbortError";
     job.reject(error);
     return true;
   }
 
+  // Moves a waiting job ahead of everything else; the latest bump wins.
+  // Returns the new position, or 0 when the job is not waiting.
+  bump(job) {
+    if (!this.queue.includes(job)) {
+      return 0;
+    }
+    job.bumpedAt = Date.now();
+    if (job.descriptor) {
+      this.store?.update(job.descriptor.id, { bumpedAt: job.bumpedAt });
+    }
+    this.#updatePositions();
+    return this.positionOf(job);
+  }
+
+  // 1-based place in the scheduling order, or 0 when the job is not waiting.
+  positionOf(job) {
+    return this.#ordered().indexOf(job) + 1;
+  }
+
+  // Seconds until the job is likely to start, simulated from the running jobs'
+  // reported ETAs and the average run time of recent jobs. Null while there is
+  // no history to go on or the job is not waiting.
+  estimateWait(job) {
+    const position = this.positionOf(job);
+    if (!position || this.averageDurationMs === null) {
+      return null;
+    }
+
+    const average = this.averageDurationMs / 1000;
+    const now = Date.now();
+    const slots = [...this.active].map((active) => {
+      if (active.etaSeconds !== null) {
+        return active.etaSeconds;
+      }
+      return Math.max(0, average - (now - active.startedAt) / 1000);
+    });
+    while (slots.length < this.concurrency) {
+      slots.push(0);
+    }
+
+    slots.sort((a, b) => a - b);
+    for (let ahead = 1; ahead < position; ahead += 1) {
+      slots[0] += average;
+      slots.sort((a, b) => a - b);
+    }
+    return Math.round(slots[0]);
+  }
+
   get stats() {
     return {
       active: this.activeCount,
@@ -64,16 +158,72 @@ export class DownloadQueue {
     };
   }
 
+  // Bumped jobs first (most recent bump first), then by priority. Inside a
+  // priority, each owner contributes one job per round, starting with the owner
+  // served longest ago.
+  #ordered() {
+    const bumped = this.queue
+      .filter((job) => job.bumpedAt)
+      .sort((a, b) => b.bumpedAt - a.bumpedAt || a.sequence - b.sequence);
+
+    const byPriority = new Map();
+    for (const job of this.queue) {
+      if (job.bumpedAt) {
+        continue;
+      }
+      if (!byPriority.has(job.priority)) {
+        byPriority.set(job.priority, new Map());
+      }
+      const lanes = byPriority.get(job.priority);
+      if (!lanes.has(job.owner)) {
+        lanes.set(job.owner, []);
+      }
+      lanes.get(job.owner).push(job);
+    }
+
+    const ordered = [...bumped];
+    const priorities = [...byPriority.keys()].sort((a, b) => b - a);
+    for (const priority of priorities) {
+      const lanes = [...byPriority.get(priority).entries()]
+        .map(([owner, jobs]) => ({ served: this.lastServed.get(owner) ?? 0, jobs }))
+        .sort((a, b) => a.served - b.served || a.jobs[0].sequence - b.jobs[0].sequence);
+      const rounds = Math.max(...lanes.map((lane) => lane.jobs.length));
+      for (let round = 0; round < rounds; round += 1) {
+        for (const lane of lanes) {
+          if (lane.jobs[round]) {
+            ordered.push(lane.jobs[round]);
+          }
+        }
+      }
+    }
+    return ordered;
+  }
+
   #runJob(job) {
     if (job.canceled) {
       return;
     }
 
     job.active = true;
+    job.position = 0;
+    job.startedAt = Date.now();
     this.activeCount += 1;
+    this.active.add(job);
+    this.lastServed.set(job.owner, this.sequence += 1);
+    if (job.descriptor) {
+      this.store?.update(job.descriptor.id, { status: "running" });
+    }
+    this.emit("started", this.#snapshot(job));
+
+    const context = {
+      reportProgress: (progress) => {
+        job.etaSeconds = Number.isFinite(progress?.etaSeconds) ? progress.etaSeconds : null;
+        this.emit("progress", { ...this.#snapshot(job), progress });
+      },
+    };
 
     Promise.resolve()
-      .then(() => job.task())
+      .then(() => job.task(context))
       .then(
         (value) => {
           job.result = { ok: true, value };
@@ -84,10 +234,24 @@ export class DownloadQueue {
       )
       .finally(() => {
         this.activeCount -= 1;
-        const next = this.queue.shift();
+        this.active.delete(job);
+        this.#forget(job);
+        if (job.result?.ok) {
+          this.#recordDuration(job);
+          this.emit("completed", { ...this.#snapshot(job), result: job.result.value });
+        } else if (job.result?.error?.name === "AbortError") {
+          this.emit("canceled", this.#snapshot(job));
+        } else {
+          this.#recordDuration(job);
+          this.emit("failed", { ...this.#snapshot(job), error: job.result?.error });
+        }
+
+        const next = this.#ordered()[0];
         if (next) {
+          this.queue.splice(this.queue.indexOf(next), 1);
           this.#runJob(next);
         }
+        this.#updatePositions();
 
         if (job.result?.ok) {
           job.resolve(job.result.value);
@@ -96,4 +260,37 @@ export class DownloadQueue {
         }
       });
   }
+
+  #recordDuration(job) {
+    const duration = Date.now() - job.startedAt;
+    this.averageDurationMs = this.averageDurationMs === null
+      ? duration
+      : this.averageDurationMs * (1 - DURATION_SMOOTHING) + duration * DURATION_SMOOTHING;
+  }
+
+  #updatePositions() {
+    this.#ordered().forEach((job, index) => {
+      if (job.position !== index + 1) {
+        job.position = index + 1;
+        this.emit("position-changed", this.#snapshot(job));
+      }
+    });
+  }
+
+  #snapshot(job) {
+    return {
+      id: job.id,
+      owner: job.owner,
+      priority: job.priority,
+      descriptor: job.descriptor,
+      position: this.positionOf(job),
+      estimatedWaitSeconds: this.estimateWait(job),
+    };
+  }
+
+  #forget(job) {
+    if (job.descriptor) {
+      this.store?.delete(job.descriptor.id);
+    }
+  }
 }
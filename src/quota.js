@@ -0,0 +1,107 @@
+import { readJsonFile, writeJsonFile } from "./json-file.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Per-user limits over rolling windows. A limit of 0 disables that check.
+// Active requests are counted by the caller (from the job store) so resumed
+// jobs are included without double bookkeeping here. A playlist batch is one
+// request however many entries it has; its entries count against the hourly
+// limit instead.
+export class QuotaTracker {
+  constructor(filePath, { maxActiveJobs = 0, maxJobsPerHour = 0, maxBytesPerDay = 0 } = {}) {
+    this.filePath = filePath;
+    this.limits = { maxActiveJobs, maxJobsPerHour, maxBytesPerDay };
+    this.usage = new Map(
+      Object.entries(readJsonFile(filePath, {})).map(([userId, usage]) => [Number(userId), usage])
+    );
+  }
+
+  // Returns null when one more request of `jobs` jobs fits, otherwise the
+  // first limit hit with the time it frees up (null for active requests, which
+  // free up as they finish).
+  check(userId, { jobs = 1, activeRequests = 0, now = Date.now() } = {}) {
+    const { maxActiveJobs, maxJobsPerHour, maxBytesPerDay } = this.limits;
+    const usage = this.#usage(userId, now);
+
+    if (maxActiveJobs && activeRequests >= maxActiveJobs) {
+      return { limit: "active", max: maxActiveJobs, used: activeRequests, resetsAt: null };
+    }
+
+    if (maxJobsPerHour && usage.jobs.length + jobs > maxJobsPerHour) {
+      // With a batch, enough old entries have to age out to make room for all of it.
+      const index = Math.min(usage.jobs.length + jobs - maxJobsPerHour, usage.jobs.length) - 1;
+      return {
+        limit: "hourly",
+        max: maxJobsPerHour,
+        used: usage.jobs.length,
+        resetsAt: index >= 0 ? usage.jobs[index] + HOUR_MS : null,
+      };
+    }
+
+    const usedBytes = sumBytes(usage.bytes);
+    if (maxBytesPerDay && usedBytes >= maxBytesPerDay) {
+      return {
+        limit: "daily",
+        max: maxBytesPerDay,
+        used: usedBytes,
+        resetsAt: usage.bytes.length ? usage.bytes[0][0] + DAY_MS : null,
+      };
+    }
+
+    return null;
+  }
+
+  remaining(userId, { activeRequests = 0, now = Date.now() } = {}) {
+    const { maxActiveJobs, maxJobsPerHour, maxBytesPerDay } = this.limits;
+    const usage = this.#usage(userId, now);
+    return {
+      activeRequests: maxActiveJobs ? Math.max(0, maxActiveJobs - activeRequests) : null,
+      jobsThisHour: maxJobsPerHour ? Math.max(0, maxJobsPerHour - usage.jobs.length) : null,
+      bytesToday: maxBytesPerDay ? Math.max(0, maxBytesPerDay - sumBytes(usage.bytes)) : null,
+      limits: this.limits,
+    };
+  }
+
+  recordJobs(userId, count = 1, now = Date.now()) {
+    if (!this.limits.maxJobsPerHour) {
+      return;
+    }
+    const usage = this.#usage(userId, now);
+    for (let i = 0; i < count; i += 1) {
+      usage.jobs.push(now);
+    }
+    this.#flush();
+  }
+
+  recordBytes(userId, bytes, now = Date.now()) {
+    if (!this.limits.maxBytesPerDay || !bytes) {
+      return;
+    }
+    this.#usage(userId, now).bytes.push([now, bytes]);
+    this.#flush();
+  }
+
+  #usage(userId, now) {
+    const id = Number(userId);
+    const usage = this.usage.get(id) || { jobs: [], bytes: [] };
+    usage.jobs = usage.jobs.filter((timestamp) => timestamp > now - HOUR_MS);
+    usage.bytes = usage.bytes.filter(([timestamp]) => timestamp > now - DAY_MS);
+    this.usage.set(id, usage);
+    return usage;
+  }
+
+  #flush() {
+    const data = {};
+    for (const [userId, usage] of this.usage) {
+      if (usage.jobs.length || usage.bytes.length) {
+        data[userId] = usage;
+      }
+    }
+    writeJsonFile(this.filePath, data);
+  }
+}
+
+function sumBytes(entries) {
+  return entries.reduce((total, [, bytes]) => total + bytes, 0);
+}
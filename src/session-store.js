@@ -1,29 +1,130 @@
+import { logger } from "./logger.js";
+import { readJsonFile, writeJsonFile } from "./json-file.js";
+
+// Live job handles hold AbortControllers and callbacks; they are rebuilt from
+// the job store after a restart instead of being serialized.
+const TRANSIENT_KEYS = new Set(["activeJob"]);
+
 export class SessionStore {
-  constructor() {
+  constructor({
+    filePath = null,
+    ttlMs = 0,
+    onExpire = null,
+    sweepIntervalMs = 60000,
+    flushDelayMs = 1000,
+  } = {}) {
     this.sessions = new Map();
+    this.filePath = filePath;
+    this.ttlMs = ttlMs;
+    this.onExpire = onExpire;
+    this.flushDelayMs = flushDelayMs;
+    this.flushTimer = null;
+
+    const entries = readJsonFile(filePath, []);
+    for (const [key, state] of Array.isArray(entries) ? entries : []) {
+      this.sessions.set(key, state);
+    }
+
+    if (ttlMs > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+      this.sweepTimer.unref();
+    }
   }
 
-  create(chatId, initialState = {}) {
+  create(key, initialState = {}) {
+    const now = Date.now();
     const state = {
-      createdAt: Date.now(),
+      createdAt: now,
+      updatedAt: now,
       ...initialState,
     };
-    this.sessions.set(chatId, state);
+    this.sessions.set(key, state);
+    this.#scheduleFlush();
     return state;
   }
 
-  get(chatId) {
-    return this.sessions.get(chatId);
+  get(key) {
+    return this.sessions.get(key);
   }
 
-  update(chatId, updater) {
-    const existing = this.sessions.get(chatId) || {};
+  list() {
+    return [...this.sessions.values()];
+  }
+
+  // Updating a session that was already deleted (canceled or expired) is a
+  // no-op, so late job callbacks cannot resurrect it.
+  update(key, updater) {
+    const existing = this.sessions.get(key);
+    if (!existing) {
+      return null;
+    }
     const updated = typeof updater === "function" ? updater(existing) : updater;
-    this.sessions.set(chatId, { ...existing, ...updated });
-    return this.sessions.get(chatId);
+    this.sessions.set(key, { ...existing, ...updated, updatedAt: Date.now() });
+    this.#scheduleFlush();
+    return this.sessions.get(key);
+  }
+
+  delete(key) {
+    if (this.sessions.delete(key)) {
+      this.#scheduleFlush();
+    }
+  }
+
+  // Drops sessions idle for longer than the TTL. Sessions with a running job
+  // are never expired; their job settles them.
+  sweep(now = Date.now()) {
+    if (!this.ttlMs) {
+      return [];
+    }
+
+    const expired = [];
+    for (const [key, session] of this.sessions) {
+      const lastActivity = session.updatedAt || session.createdAt || 0;
+      if (!session.activeJob && now - lastActivity > this.ttlMs) {
+        this.sessions.delete(key);
+        expired.push([key, session]);
+      }
+    }
+
+    if (!expired.length) {
+      return expired;
+    }
+
+    this.#scheduleFlush();
+    for (const [key, session] of expired) {
+      Promise.resolve()
+        .then(() => this.onExpire?.(key, session))
+        .catch((error) => {
+          logger.warn({ key, error: error.message }, "Failed to handle expired session");
+        });
+    }
+    return expired;
+  }
+
+  // Progress updates arrive several times a second while a job runs, so writes
+  // are batched; call flush() before exiting to persist the latest state.
+  #scheduleFlush() {
+    if (!this.filePath || this.flushTimer) {
+      return;
+    }
+    if (!this.flushDelayMs) {
+      this.flush();
+      return;
+    }
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    this.flushTimer.unref();
   }
 
-  delete(chatId) {
-    this.sessions.delete(chatId);
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.filePath) {
+      return;
+    }
+    writeJsonFile(
+      this.filePath,
+      [...this.sessions.entries()],
+      (key, value) => (TRANSIENT_KEYS.has(key) ? undefined : value)
+    );
   }
 }
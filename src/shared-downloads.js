@@ -0,0 +1,70 @@
+// Lets several requests share one in-flight download. The first request for a
+// key creates the entry and queues the download; later requests attach to it.
+// Holders are objects of optional callbacks (onQueuePosition, onStart,
+// onStatus) that receive the download's updates for their own status message.
+export class SharedDownloads {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  create(key) {
+    let resolveDownload;
+    let rejectDownload;
+    let resolveIdle;
+    const entry = {
+      key,
+      controller: new AbortController(),
+      holders: new Map(),
+      job: null,
+      download: new Promise((resolve, reject) => {
+        resolveDownload = resolve;
+        rejectDownload = reject;
+      }),
+      idle: new Promise((resolve) => {
+        resolveIdle = resolve;
+      }),
+      resolveDownload,
+      rejectDownload,
+      resolveIdle,
+    };
+    // Holders handle the outcome themselves; this only silences entries nobody awaits.
+    entry.download.catch(() => {});
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  attach(entry, holderId, holder) {
+    entry.holders.set(holderId, holder);
+  }
+
+  // Called when a holder is done with the file or gave up on it. Once nobody
+  // is left, a download that has not finished yet is canceled.
+  detach(entry, holderId) {
+    entry.holders.delete(holderId);
+    if (entry.holders.size > 0) {
+      return;
+    }
+    this.close(entry);
+    entry.job?.cancel();
+    entry.controller.abort();
+    entry.resolveIdle();
+  }
+
+  notify(entry, event, ...args) {
+    for (const holder of entry.holders.values()) {
+      holder[event]?.(...args);
+    }
+  }
+
+  // Stops new requests from attaching, e.g. once the file is ready and
+  // holders start uploading it.
+  close(entry) {
+    if (this.entries.get(entry.key) === entry) {
+      this.entries.delete(entry.key);
+    }
+  }
+}
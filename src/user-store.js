@@ -0,0 +1,105 @@
+import { randomBytes } from "node:crypto";
+import { readJsonFile, writeJsonFile } from "./json-file.js";
+
+// Runtime allowlist plus invite codes. IDs from AUTHORIZED_USER_IDS seed the
+// list on startup unless an admin has explicitly revoked them.
+export class UserStore {
+  constructor(filePath, { seedUserIds = [] } = {}) {
+    this.filePath = filePath;
+
+    const data = readJsonFile(filePath, {});
+    this.users = new Map((data.users || []).map((user) => [user.id, user]));
+    this.revoked = new Set(data.revoked || []);
+    this.invites = new Map((data.invites || []).map((invite) => [invite.code, invite]));
+
+    let seeded = false;
+    for (const id of seedUserIds) {
+      if (!this.users.has(id) && !this.revoked.has(id)) {
+        this.users.set(id, { id, source: "env", addedAt: Date.now() });
+        seeded = true;
+      }
+    }
+    if (seeded) {
+      this.#flush();
+    }
+  }
+
+  has(userId) {
+    return this.users.has(Number(userId));
+  }
+
+  list() {
+    return [...this.users.values()].sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0));
+  }
+
+  allow(userId, { addedBy = null, source = "admin", name = null } = {}) {
+    const id = Number(userId);
+    const user = {
+      ...this.users.get(id),
+      id,
+      source,
+      addedBy,
+      addedAt: Date.now(),
+      ...(name ? { name } : {}),
+    };
+    this.users.set(id, user);
+    this.revoked.delete(id);
+    this.#flush();
+    return user;
+  }
+
+  deny(userId) {
+    const id = Number(userId);
+    const existed = this.users.delete(id);
+    this.revoked.add(id);
+    this.#flush();
+    return existed;
+  }
+
+  createInvite({ createdBy, ttlMs, uses = 1 }) {
+    this.#pruneInvites();
+    const invite = {
+      code: randomBytes(6).toString("base64url"),
+      createdBy,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ttlMs,
+      usesLeft: uses,
+    };
+    this.invites.set(invite.code, invite);
+    this.#flush();
+    return invite;
+  }
+
+  // Consumes one use of the code and allowlists the user. Returns the invite,
+  // or null when the code is unknown, used up or expired.
+  redeemInvite(code, userId, { name = null } = {}) {
+    this.#pruneInvites();
+    const invite = this.invites.get(code);
+    if (!invite) {
+      return null;
+    }
+
+    invite.usesLeft -= 1;
+    if (invite.usesLeft <= 0) {
+      this.invites.delete(code);
+    }
+    this.allow(userId, { addedBy: invite.createdBy, source: "invite", name });
+    return invite;
+  }
+
+  #pruneInvites(now = Date.now()) {
+    for (const [code, invite] of this.invites) {
+      if (invite.expiresAt <= now || invite.usesLeft <= 0) {
+        this.invites.delete(code);
+      }
+    }
+  }
+
+  #flush() {
+    writeJsonFile(this.filePath, {
+      users: this.list(),
+      revoked: [...this.revoked],
+      invites: [...this.invites.values()],
+    });
+  }
+}